@@ -1,353 +1,1193 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { BrowserRouter, matchPath, useLocation, useNavigate } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCheck, faCircleExclamation, faHeart, faLightbulb, faPause, faPlay, faXmark } from '@fortawesome/free-solid-svg-icons';
+import { createRng, generateSeed } from './random';
+import {
+  createOddOneOutRound,
+  checkRoundAnswer,
+  countChanges,
+  resolveChangeCount,
+  DEFAULT_LIVES,
+  TILE_COUNT_OPTIONS,
+} from './game';
+import {
+  buildDailyChallenge,
+  buildPlayPath,
+  buildShareUrl,
+  getDailyKey,
+  getDailyRoundTiles,
+  isLastDailyBoard,
+  getRoundSeed,
+  parseDailyDate,
+  parsePlaySetup,
+  parseSharedGame,
+  ADAPTIVE_PATH,
+  DAILY_CHALLENGE_ROUNDS,
+} from './challenge';
+import { calculateRoundScore, describeScoreBreakdown, TOTAL_SCORE_TO_WIN } from './scoring';
+import {
+  clearStats,
+  getLastAdaptiveLevel,
+  loadStats,
+  recordGame,
+  recordLevelChange,
+  recordRound,
+  summarizeStats,
+} from './stats';
+import {
+  createAdaptiveState,
+  getAdaptiveLevel,
+  nextAdaptiveState,
+  ADAPTIVE_DIFFICULTY,
+  ADAPTIVE_LEVELS,
+  ADAPTIVE_RULES,
+} from './adaptive';
+import StatsScreen from './StatsScreen';
+import SettingsScreen from './SettingsScreen';
+import Modal from './Modal';
+import VersusSetupScreen from './VersusSetupScreen';
+import {
+  applyTurnResult,
+  createVersusGame,
+  getTotalTurns,
+  getTurnsPlayed,
+  isVersusOver,
+  rankPlayers,
+  DEFAULT_VERSUS_SETUP,
+} from './versus';
+import { readStorage, writeStorage } from './storage';
+import CustomGameScreen from './CustomGameScreen';
+import {
+  getCustomBoardValues,
+  getCustomGameRules,
+  loadCustomSettings,
+  saveCustomSettings,
+  validateCustomSettings,
+  CUSTOM_DIFFICULTY,
+  CUSTOM_LIMITS,
+} from './customGame';
+import useDeadlineTimer from './useDeadlineTimer';
+import { getTileContentProvider, DEFAULT_TILE_CONTENT } from './tileContent';
+import { canBuyHint, pickEliminatedTiles, HINTS } from './hints';
+import { addSessionMistake, buildRoundReview } from './review';
+import RoundReview from './RoundReview';
+import MistakesScreen from './MistakesScreen';
+import { getPlayMode, DEFAULT_PLAY_MODE, PLAY_MODES } from './playModes';
+import { createSoundPlayer, loadSoundSettings, saveSoundSettings } from './sound';
+import { createTranslator, loadLocale, saveLocale, useI18n, I18nContext } from './i18n';
+import { loadThemePreference, resolveTheme, saveThemePreference, useSystemPreferences } from './themes';
+import { applyUpdate, registerServiceWorker } from './serviceWorkerRegistration';
+import UpdatePrompt from './UpdatePrompt';
+import OfflineNotice from './OfflineNotice';
 
-// Main App Component
-const App = () => {
+// Board rules for a classic game: one changed number per round. Also the initial settings.
+const DEFAULT_GAME_RULES = { changeType: 'replace', changeCount: 1, contentId: DEFAULT_TILE_CONTENT, playMode: DEFAULT_PLAY_MODE };
+
+// Settings screen defaults: the board rules plus how many lives a game starts with
+const DEFAULT_SETTINGS = { ...DEFAULT_GAME_RULES, lives: DEFAULT_LIVES };
+
+// Screens that reveal the board with the round's result
+const RESULT_STATES = ['round_win', 'round_lost', 'overall_win', 'game_over', 'daily_complete'];
+
+// Reveal animation for the changed tiles, one per change type (keyframes live in tailwind.config.js)
+const REVEAL_ANIMATIONS = {
+  replace: 'animate-pulse',
+  mutate: 'animate-tile-pop',
+  swap: 'animate-tile-swap',
+  remove: 'animate-tile-slide',
+};
+
+const VERSUS_SETUP_KEY = 'versus-setup';
+
+// One player for the whole app; it creates its audio context on the first sound
+const soundPlayer = createSoundPlayer();
+
+// Sound played when the game enters each of these states
+const STATE_SOUNDS = {
+  odd_one_out_recall: 'recall',
+  round_win: 'correct',
+  round_lost: 'wrong',
+  game_over: 'wrong',
+  overall_win: 'champion',
+  daily_complete: 'correct',
+};
+
+// How long the original board is shown, per difficulty
+const MEMORIZE_TIME_MS = { easy: 4000, medium: 8000, hard: 12000 };
+
+// `{noun}` and `{nouns}` for the messages that name the current tile set
+const getNounParams = (tileContent, t) => ({
+  noun: t(`noun.${tileContent.id}`, { count: 1 }),
+  nouns: t(`noun.${tileContent.id}`, { count: 2 }),
+});
+
+// What the player is asked to find once the recall board is shown
+const getRecallPrompt = (changeType, pickCount, tileContent, t) => {
+  const params = { ...getNounParams(tileContent, t), count: pickCount };
+  switch (changeType) {
+    case 'swap':
+      return t('round.prompt.swap', params);
+    case 'remove':
+      return t('round.prompt.remove', params);
+    case 'mutate':
+      return t('round.prompt.mutate', params);
+    default:
+      return t('round.prompt.replace', params);
+  }
+};
+
+// Explain what actually changed, for the end-of-round messages
+const describeRoundChange = (changeType, changedValues, removedValues, tileContent, t) => {
+  const listValues = (values) => t.formatList(values.map(value => tileContent.describe(value, t)), 'unit');
+  const params = { ...getNounParams(tileContent, t), count: changedValues.length, names: listValues(changedValues) };
+  switch (changeType) {
+    case 'swap':
+      return t('round.change.swap', params);
+    case 'remove':
+      return t('round.change.remove', { ...params, removed: listValues(removedValues) });
+    default:
+      return t('round.change.replace', params);
+  }
+};
+
+// Main game component; which screen it shows follows the URL (see `showRoute`).
+// `onThemeChange` and `onLocaleChange` switch the theme and language for the whole app.
+const Game = ({ themePreference, onThemeChange, onLocaleChange }) => {
+  const t = useI18n();
+  const location = useLocation();
+  const navigate = useNavigate();
   const [gameState, setGameState] = useState('start');
   const [difficulty, setDifficulty] = useState(null);
   const [numTiles, setNumTiles] = useState(null);
   const [originalGridNumbers, setOriginalGridNumbers] = useState([]);
   const [currentGridNumbers, setCurrentGridNumbers] = useState([]);
   const [preparedRecallNumbers, setPreparedRecallNumbers] = useState([]);
-  const [changedTileIndex, setChangedTileIndex] = useState(null);
-  const [selectedTileIndex, setSelectedTileIndex] = useState(null);
-  const [roundScore, setRoundScore] = useState(0);
+  const [changedTileIndices, setChangedTileIndices] = useState([]);
+  const [selectedTileIndices, setSelectedTileIndices] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS); // Board rules and lives for new games, picked on the Settings screen
+  const [roundChangeType, setRoundChangeType] = useState('replace'); // How this round's board changed ('mix' resolved)
+  const [removedValues, setRemovedValues] = useState([]); // Values taken off the board by a 'remove' round
+  const [previousValues, setPreviousValues] = useState([]); // What the original board showed in place of each changed tile
+  const [gameRules, setGameRules] = useState(DEFAULT_GAME_RULES); // How boards are built for the current game
   const [totalScore, setTotalScore] = useState(0);
   const [feedbackMessage, setFeedbackMessage] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [modalMessage, setModalMessage] = useState('');
   const [modalActions, setModalActions] = useState([]);
-  const [countdown, setCountdown] = useState(0);
+  const [modalDetails, setModalDetails] = useState([]); // Score breakdown lines shown in the modal
+  const [seed, setSeed] = useState(null); // Seed of the current game; boards are derived from it
+  const [boardIndex, setBoardIndex] = useState(0); // How many boards this game has dealt so far
+  const [dailyChallenge, setDailyChallenge] = useState(null); // Set while playing the Daily Challenge
+  const [shareMessage, setShareMessage] = useState('');
+  const [streak, setStreak] = useState(0); // Correct rounds in a row in the current game
+  const [statsSummary, setStatsSummary] = useState(null); // Loaded when the Stats screen opens
+  const [customSettings, setCustomSettings] = useState(null); // Loaded when the custom game form opens
+  const [adaptive, setAdaptive] = useState(null); // Level controller state while playing Adaptive
+  const [adaptiveStart, setAdaptiveStart] = useState(null); // Controller state the adaptive game started from, for share links
+  const [versus, setVersus] = useState(null); // Players, scores and turn order while playing Versus
+  const [lives, setLives] = useState(null); // Lives left; null in versus games, which have no lives
+  const [hintsUsed, setHintsUsed] = useState([]); // Hints bought this round
+  const [eliminatedTileIndices, setEliminatedTileIndices] = useState([]); // Tiles ruled out by a hint
+  const [isFlashing, setIsFlashing] = useState(false); // Original board briefly shown by a hint
+  const [focusedTileIndex, setFocusedTileIndex] = useState(0); // The board's single tab stop
+  const [roundReview, setRoundReview] = useState(null); // Review of the round just played
+  const [showReview, setShowReview] = useState(false);
+  const [mistakes, setMistakes] = useState([]); // Reviews of this session's missed rounds, kept until the page reloads
+  const [studyTimeMs, setStudyTimeMs] = useState(null); // How long an untimed board was studied before the flip
+  const [soundSettings, setSoundSettings] = useState(loadSoundSettings); // Mute and volume, saved locally
+  const recallStartedAt = useRef(0);
+  const memorizeStartedAt = useRef(0);
   const gridRef = useRef(null);
+  const tileRefs = useRef([]);
+
+  const tileContent = getTileContentProvider(gameRules.contentId); // How tiles of the current game are drawn and named
+
+  const adaptiveLevel = adaptive && getAdaptiveLevel(adaptive.level); // Board settings of the current adaptive level
+  // Custom games bring their own memorize time in their rules
+  const memorizeTimeMs = adaptiveLevel
+    ? adaptiveLevel.memorizeMs
+    : gameRules.memorizeMs ?? MEMORIZE_TIME_MS[difficulty] ?? MEMORIZE_TIME_MS.hard;
+  const memorizeSeconds = Math.ceil(memorizeTimeMs / 1000);
+  const roundDifficulty = adaptiveLevel ? adaptiveLevel.difficulty : difficulty; // Adaptive levels play like their band
+
+  // The play mode decides which phases run on a clock and for how long
+  const phaseLimits = getPlayMode(gameRules.playMode).phaseLimits({
+    memorizeMs: memorizeTimeMs,
+    recallLimitMs: gameRules.recallLimitMs ?? null,
+    difficulty: roundDifficulty,
+  });
+  const isMemorizeTimed = phaseLimits.memorizeMs !== null; // Otherwise the player flips the board
+  const isRecallTimed = phaseLimits.recallMs !== null; // Then running out of time submits the answer
 
   // Dynamic grid dimension based on numTiles for layout.
   const currentGridDimension = numTiles ? Math.max(3, Math.ceil(Math.sqrt(numTiles))) : 3;
 
-  // Constants for game logic
-  const BASE_SCORE_PER_CORRECT = 20; // Changed to 20 points per correct identification
-  const TOTAL_SCORE_TO_WIN = 100; // Updated from 300 to 100 points to win
-  const NUMBER_POOL_MAX = 100; // Numbers will vary from 1 to 100
-
-  // Function to generate 'count' unique random numbers from 1 to NUMBER_POOL_MAX
-  const generateUniqueNumbers = useCallback((count) => {
-    const actualCount = Math.min(count, NUMBER_POOL_MAX);
-    const allPossibleNumbers = Array.from({ length: NUMBER_POOL_MAX }, (_, i) => i + 1);
-    const shuffledNumbers = allPossibleNumbers.sort(() => 0.5 - Math.random());
-    return shuffledNumbers.slice(0, actualCount);
+  // Function to set up a new Odd One Out round from a (seeded) random generator
+  const setupOddOneOutRound = useCallback((count, rng, rules) => {
+    setSelectedTileIndices([]); // Clear user selection
+    setHintsUsed([]);
+    setEliminatedTileIndices([]);
+    setIsFlashing(false);
+
+    const round = createOddOneOutRound(count, rng, {
+      changeType: rules.changeType,
+      changeCount: rules.changeCount,
+      // A custom number pool replaces the default numbers; other tile sets keep their own values
+      values: rules.numberPool
+        ? getCustomBoardValues(rules.numberPool, rules.contentId)
+        : getTileContentProvider(rules.contentId).values,
+    });
+    setOriginalGridNumbers([...round.originalNumbers]); // Store for the initial "memorize_original" phase
+
+    // Store the prepared final grid state, the indices of the changed tiles and how they changed
+    setPreparedRecallNumbers(round.recallNumbers);
+    setChangedTileIndices(round.changedIndices);
+    setRoundChangeType(round.changeType);
+    setRemovedValues(round.removedValues);
+    setPreviousValues(round.previousValues);
+
+    // Set the initial grid numbers for the "memorize_original" phase
+    setCurrentGridNumbers([...round.originalNumbers]);
   }, []);
 
-  // Function to set up a new Odd One Out round
-  const setupOddOneOutRound = useCallback((count) => {
-    setRoundScore(0); // Reset round score for the new round
-    setSelectedTileIndex(null); // Clear user selection
+  // Start board number `index` of the game identified by `gameSeed`, built with `rules`
+  const startBoard = useCallback((count, gameSeed, index, rules) => {
+    setNumTiles(count);
+    setBoardIndex(index);
+    setFocusedTileIndex(0);
+    setRoundReview(null);
+    setShowReview(false);
+    setFeedbackMessage('');
+    setShareMessage('');
+    setupOddOneOutRound(count, createRng(getRoundSeed(gameSeed, index)), rules);
+    setGameState('memorize_original'); // Transition to the initial memorization phase
+  }, [setupOddOneOutRound]);
+
+  // Handle difficulty selection
+  const handleDifficultySelect = (selectedDifficulty) => {
+    navigate(`/play/${selectedDifficulty}`);
+  };
+
+  // Handle number of tiles selection; the play route sets up the game
+  const handleNumTilesSelect = (count) => {
+    navigate(buildPlayPath(difficulty, count));
+  };
 
-    const initialNumbers = generateUniqueNumbers(count);
-    setOriginalGridNumbers([...initialNumbers]); // Store for the initial "memorize_original" phase
+  // Start a new game. Shared links bring their own seed and rules so everyone gets the same boards.
+  // Adaptive games also pass the controller state they start from.
+  const startGame = useCallback(({ difficulty: gameDifficulty, numTiles: count, seed: gameSeed, rules, adaptive: adaptiveState = null }) => {
+    setDailyChallenge(null);
+    setAdaptive(adaptiveState);
+    setAdaptiveStart(adaptiveState);
+    setVersus(null);
+    setLives(settings.lives);
+    setSeed(gameSeed);
+    setDifficulty(gameDifficulty);
+    setTotalScore(0); // Reset total score when starting a new game
+    setStreak(0);
+    setGameRules(rules);
+    startBoard(count, gameSeed, 0, rules);
+  }, [startBoard, settings.lives]);
 
-    let finalRecallNumbers = [...initialNumbers];
-    const originalIndexToChange = Math.floor(Math.random() * initialNumbers.length); // Random index to change
+  // Start today's Daily Challenge (or the one for a shared date)
+  const startDailyChallenge = useCallback((dailyKey) => {
+    const challenge = buildDailyChallenge(dailyKey);
+    setDailyChallenge(challenge);
+    setAdaptive(null);
+    setVersus(null);
+    setLives(DEFAULT_LIVES); // Same for everyone, like the rest of the challenge
+    setSeed(challenge.seed);
+    setDifficulty(challenge.difficulty);
+    setTotalScore(0);
+    setStreak(0);
+    setGameRules(DEFAULT_GAME_RULES); // The Daily Challenge is always the classic one-number game
+    startBoard(getDailyRoundTiles(challenge, 0), challenge.seed, 0, DEFAULT_GAME_RULES);
+  }, [startBoard]);
 
-    let newChangedValue;
-    do {
-      // Generate a new number that is NOT present in the *original* set of numbers
-      // to ensure it's truly an "odd one out" and different from the number it's replacing
-      newChangedValue = Math.floor(Math.random() * NUMBER_POOL_MAX) + 1;
-    } while (initialNumbers.includes(newChangedValue) || newChangedValue === initialNumbers[originalIndexToChange]);
+  // Board rules for a new game from the current settings
+  const getNewGameRules = (gameDifficulty) => ({
+    changeType: settings.changeType,
+    changeCount: resolveChangeCount(settings.changeCount, gameDifficulty),
+    contentId: settings.contentId,
+    playMode: settings.playMode,
+  });
 
-    // Apply the change to the `finalRecallNumbers` array *before* scrambling it
-    finalRecallNumbers[originalIndexToChange] = newChangedValue;
+  // Start a versus game; every player's boards use the current settings and the chosen size.
+  // The game opens on the hand-off screen for the first player.
+  const startVersusGame = (setup) => {
+    writeStorage(VERSUS_SETUP_KEY, setup);
+    const rules = { ...getNewGameRules(setup.difficulty), playMode: DEFAULT_PLAY_MODE }; // Every turn runs on the same clocks
+    setShowModal(false);
+    setDailyChallenge(null);
+    setAdaptive(null);
+    setVersus(createVersusGame(setup.names, setup.turnsPerPlayer));
+    setLives(null);
+    setSeed(generateSeed());
+    setDifficulty(setup.difficulty);
+    setNumTiles(setup.numTiles);
+    setTotalScore(0);
+    setStreak(0);
+    setGameRules(rules);
+    setGameState('versus_handoff');
+  };
 
-    // Scramble the array that now contains the changed number
-    const shuffledFinalRecallNumbers = finalRecallNumbers.sort(() => 0.5 - Math.random());
+  // The player whose turn it is confirmed they have the device: deal their board
+  const startVersusTurn = () => {
+    startBoard(numTiles, seed, getTurnsPlayed(versus), gameRules);
+  };
 
-    // Find the new position (index) of the 'changed number' in the *scrambled* array
-    const finalChangedIndexInScrambled = shuffledFinalRecallNumbers.indexOf(newChangedValue);
+  const handleVersusHandoff = () => {
+    setShowModal(false);
+    setGameState('versus_handoff'); // Hides the revealed board before the device changes hands
+  };
 
-    // Store this prepared final grid state and the index of the changed tile
-    setPreparedRecallNumbers(shuffledFinalRecallNumbers);
-    setChangedTileIndex(finalChangedIndexInScrambled);
+  // Final standings modal of a finished versus game
+  const showVersusStandings = (game) => {
+    const standings = rankPlayers(game.players);
+    const winners = standings.filter(player => player.place === 1).map(player => player.name);
+    setModalMessage(winners.length > 1 ? t('versus.tie', { names: t.formatList(winners) }) : t('versus.winner', { name: winners[0] }));
+    setModalDetails(standings.map(player => ({ label: t('versus.place', { place: player.place, name: player.name }), value: t.formatNumber(player.score) })));
+    setModalActions([
+      { text: t('action.home'), onClick: () => navigate('/') },
+      { text: t('action.rematch'), onClick: () => startVersusGame(readStorage(VERSUS_SETUP_KEY, DEFAULT_VERSUS_SETUP)) },
+    ]);
+    setShowModal(true);
+  };
 
-    // Set the initial grid numbers for the "memorize_original" phase
-    setCurrentGridNumbers([...initialNumbers]);
-  }, [generateUniqueNumbers]);
+  // Show the screen for the current URL. Leaving /play/... or /daily abandons the round in
+  // progress: moving gameState off 'memorize_original' clears its timers, and an unsubmitted
+  // round is never recorded.
+  const showRoute = ({ pathname, search }) => {
+    setShowModal(false);
+    const playMatch = matchPath('/play/:difficulty/:tiles', pathname);
+    const difficultyMatch = matchPath('/play/:difficulty', pathname);
 
-  // Handle difficulty selection
-  const handleDifficultySelect = (selectedDifficulty) => {
-    setDifficulty(selectedDifficulty);
-    setTotalScore(0); // Reset total score when changing difficulty/starting new game from difficulty
-    setGameState('number_selection');
+    if (playMatch) {
+      const setup = parsePlaySetup(playMatch.params.difficulty, playMatch.params.tiles);
+      if (!setup) {
+        navigate('/play', { replace: true });
+        return;
+      }
+      // A shared link replays its seed and rules; a plain (bookmarked) setup deals fresh boards
+      const shared = parseSharedGame(search);
+      const rules = shared
+        ? shared.rules
+        : getNewGameRules(setup.difficulty);
+      startGame({ ...setup, seed: shared ? shared.seed : generateSeed(), rules });
+    } else if (difficultyMatch && difficultyMatch.params.difficulty === ADAPTIVE_DIFFICULTY) {
+      // Adaptive games pick up at the level the last one ended on; shared links start where the
+      // sharer's game did
+      const shared = parseSharedGame(search);
+      const state = shared?.adaptive
+        || createAdaptiveState(getLastAdaptiveLevel(loadStats()) ?? ADAPTIVE_RULES.startLevel);
+      const level = getAdaptiveLevel(state.level);
+      const rules = shared
+        ? shared.rules
+        : getNewGameRules(level.difficulty);
+      startGame({
+        difficulty: ADAPTIVE_DIFFICULTY,
+        numTiles: level.numTiles,
+        seed: shared ? shared.seed : generateSeed(),
+        rules,
+        adaptive: state,
+      });
+    } else if (difficultyMatch && difficultyMatch.params.difficulty === CUSTOM_DIFFICULTY) {
+      const custom = loadCustomSettings();
+      // Saved settings can be too big for the tile set picked since; show the form with the problem
+      if (Object.keys(validateCustomSettings(custom, CUSTOM_LIMITS, t, settings.contentId)).length > 0) {
+        navigate('/custom', { replace: true });
+        return;
+      }
+      startGame({
+        difficulty: CUSTOM_DIFFICULTY,
+        numTiles: custom.numTiles,
+        seed: generateSeed(),
+        rules: { ...getNewGameRules(CUSTOM_DIFFICULTY), ...getCustomGameRules(custom) },
+      });
+    } else if (difficultyMatch) {
+      if (!TILE_COUNT_OPTIONS[difficultyMatch.params.difficulty]) {
+        navigate('/play', { replace: true });
+        return;
+      }
+      setDifficulty(difficultyMatch.params.difficulty);
+      setGameState('number_selection');
+    } else if (pathname === '/play') {
+      setGameState('difficulty');
+    } else if (pathname === '/daily') {
+      startDailyChallenge(parseDailyDate(search) || getDailyKey());
+    } else if (pathname === '/stats') {
+      setStatsSummary(summarizeStats(loadStats())); // Fresh numbers from storage
+      setGameState('stats');
+    } else if (pathname === '/settings') {
+      setGameState('settings');
+    } else if (pathname === '/mistakes') {
+      setGameState('mistakes');
+    } else if (pathname === '/custom') {
+      setCustomSettings(loadCustomSettings()); // Read once per visit, not on every render of the form
+      setGameState('custom_setup');
+    } else if (pathname === '/versus') {
+      setVersus(null);
+      setGameState('versus_setup');
+    } else {
+      if (pathname !== '/') {
+        navigate('/', { replace: true }); // Unknown paths go home
+        return;
+      }
+      setGameState('start');
+      setSelectedTileIndices([]);
+      setTotalScore(0);
+    }
   };
 
-  // Handle number of tiles selection
-  const handleNumTilesSelect = (count) => {
-    setNumTiles(count);
-    setFeedbackMessage('');
-    setupOddOneOutRound(count); // Set up the game state with the chosen number of tiles
-    setGameState('memorize_original'); // Transition to the initial memorization phase
+  // Re-run the route handler on every navigation (including Back/Forward), always with the latest state
+  const showRouteRef = useRef(showRoute);
+  showRouteRef.current = showRoute;
+  useEffect(() => {
+    showRouteRef.current(location);
+  }, [location]);
+
+  // Copy a link that replays this game's boards
+  const handleShareSeed = () => {
+    const url = buildShareUrl({
+      seed,
+      difficulty,
+      numTiles,
+      ...gameRules,
+      adaptive: adaptiveStart,
+      dailyKey: dailyChallenge?.dailyKey,
+    });
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url)
+        .then(() => setShareMessage(t('round.linkCopied')))
+        .catch(() => setShareMessage(url));
+    } else {
+      setShareMessage(url); // No clipboard access; show the link so it can be copied by hand
+    }
   };
 
-  // Function to restart the current game (Try Again / Next Round)
-  const handleNextRoundOrTryAgain = useCallback(() => {
+  // Deal the next board of the current game (Next Round)
+  const handleNextRound = useCallback(() => {
     setShowModal(false); // Close the modal
     if (numTiles !== null) {
-      setupOddOneOutRound(numTiles); // Restart the round with the same number of tiles
-      setGameState('memorize_original'); // Go back to the initial memorization phase
-      setFeedbackMessage(''); // Clear any previous feedback
+      // Each new board advances through the seeded sequence; daily boards follow the day's round
+      // list and adaptive boards the current level
+      const nextIndex = boardIndex + 1;
+      let nextCount = numTiles;
+      if (dailyChallenge) {
+        nextCount = getDailyRoundTiles(dailyChallenge, nextIndex);
+      } else if (adaptive) {
+        nextCount = getAdaptiveLevel(adaptive.level).numTiles;
+      }
+      startBoard(nextCount, seed, nextIndex, gameRules);
     }
-  }, [numTiles, setupOddOneOutRound]);
+  }, [numTiles, boardIndex, dailyChallenge, adaptive, seed, gameRules, startBoard]);
+
+  // Start the game over after the last life is lost: replaying the route deals a fresh game
+  // with the same setup (shared seeds and the Daily Challenge replay their own boards)
+  const handleTryAgain = () => {
+    navigate(`${location.pathname}${location.search}`, { replace: true });
+  };
+
+  // The result modal's buttons are created at submit time, before the new adaptive level is in
+  // state, so they go through this ref to always start the board with the latest state
+  const nextRoundRef = useRef(handleNextRound);
+  nextRoundRef.current = handleNextRound;
 
-  // Effect for managing game flow and timers (memorize then scramble/change)
+  // Entering the memorize phase: prompt the player and make sure no modal is left over
   useEffect(() => {
-    let memorizeTimer;
-    let countdownInterval;
-
-    if (gameState === 'memorize_original') {
-      const memorizeTime = difficulty === 'easy' ? 4000 : difficulty === 'medium' ? 8000 : 12000; // 4s, 8s, 12s
-
-      setCountdown(memorizeTime / 1000); // Initialize countdown in seconds
-      setFeedbackMessage('Observe the numbers!'); // Display message as feedback, not in modal
-      setModalActions([]); // Ensure no modal actions for this state
-      setShowModal(false); // Ensure modal is hidden
-
-      countdownInterval = setInterval(() => {
-        setCountdown(prevCountdown => {
-          if (prevCountdown <= 1) {
-            clearInterval(countdownInterval);
-            return 0;
-          }
-          return prevCountdown - 1;
-        });
-      }, 1000);
-
-      memorizeTimer = setTimeout(() => {
-        clearInterval(countdownInterval); // Clear interval when time is up
-        setFeedbackMessage('Find the changed number!'); // Change feedback message
-        // After memorization, update currentGridNumbers to the prepared scrambled+changed version
-        setCurrentGridNumbers(preparedRecallNumbers);
-        setGameState('odd_one_out_recall'); // Transition to the recall phase
-        setCountdown(0); // Reset countdown
-      }, memorizeTime);
-    }
-    return () => {
-      clearTimeout(memorizeTimer); // Clean up timer on component unmount or state change
-      clearInterval(countdownInterval); // Clean up countdown interval
-    };
-  }, [gameState, difficulty, preparedRecallNumbers]); // Re-run effect if these dependencies change
+    if (gameState !== 'memorize_original') return;
+    memorizeStartedAt.current = Date.now();
+    setFeedbackMessage(t(isMemorizeTimed ? 'round.observe' : 'round.study', getNounParams(tileContent, t))); // Display message as feedback, not in modal
+    setModalActions([]); // Ensure no modal actions for this state
+    setShowModal(false); // Ensure modal is hidden
+  }, [gameState, preparedRecallNumbers, tileContent, isMemorizeTimed, t]);
+
+  // When memorize time runs out, or the player flips an untimed board, show the prepared
+  // recall board (scrambled/changed)
+  const showRecallBoard = () => {
+    setStudyTimeMs(isMemorizeTimed ? null : Date.now() - memorizeStartedAt.current);
+    setFeedbackMessage(getRecallPrompt(roundChangeType, changedTileIndices.length, tileContent, t));
+    setCurrentGridNumbers(preparedRecallNumbers);
+    setGameState('odd_one_out_recall'); // Transition to the recall phase
+    recallStartedAt.current = Date.now(); // Answer time is measured from here
+  };
 
+  // Memorize timer; it stops while paused or while the tab is hidden
+  const memorizeTimer = useDeadlineTimer({
+    durationMs: phaseLimits.memorizeMs ?? 0,
+    active: gameState === 'memorize_original' && isMemorizeTimed,
+    resetKey: preparedRecallNumbers, // A new board restarts the clock
+    onExpire: showRecallBoard,
+  });
+  const countdown = Math.ceil(memorizeTimer.remainingMs / 1000); // Whole seconds left, for display
 
-  // Handle tile click during recall phase
+  // Handle tile click during recall phase: toggle the tile, up to one pick per changed tile
   const handleTileClick = (index) => {
-    if (gameState === 'odd_one_out_recall') {
-      setSelectedTileIndex(index); // Set the index of the tile selected by the user
+    if (gameState !== 'odd_one_out_recall' || isFlashing || eliminatedTileIndices.includes(index)) return;
+    if (selectedTileIndices.includes(index)) {
+      setSelectedTileIndices(selectedTileIndices.filter(selected => selected !== index));
+      soundPlayer.play('select');
+    } else if (changedTileIndices.length === 1) {
+      setSelectedTileIndices([index]); // Single-change rounds just move the selection
+      soundPlayer.play('select');
+    } else if (selectedTileIndices.length < changedTileIndices.length) {
+      setSelectedTileIndices([...selectedTileIndices, index]);
+      soundPlayer.play('select');
+    } else {
+      setFeedbackMessage(t('round.pickLimit', { count: changedTileIndices.length }));
+    }
+  };
+
+  // Book a versus turn. Turns only update the players' scoreboard; personal stats are left alone.
+  const finishVersusTurn = ({ breakdown, hits, isCorrect, responseTimeMs, changeDescription }) => {
+    const player = versus.players[versus.currentPlayer];
+    const nextVersus = applyTurnResult(versus, { score: breakdown.total, correct: isCorrect, responseTimeMs });
+    let result = t('versus.turnComplete', { name: player.name, score: breakdown.total });
+    if (hits.length === 0) {
+      result = t('versus.turnMissed', { name: player.name, change: changeDescription });
+    } else if (!isCorrect) {
+      result = t('versus.turnPartial', {
+        name: player.name,
+        found: hits.length,
+        count: changedTileIndices.length,
+        score: breakdown.total,
+        change: changeDescription,
+      });
+    }
+
+    setVersus(nextVersus);
+    setGameState(hits.length > 0 ? 'round_win' : 'round_lost'); // Reveals the board the same way as a solo round
+    setFeedbackMessage(result);
+    if (isVersusOver(nextVersus)) {
+      showVersusStandings(nextVersus);
+      return;
+    }
+    setModalMessage(result);
+    setModalDetails(hits.length > 0 ? describeScoreBreakdown(breakdown, t) : []);
+    setModalActions([{ text: t('action.passTo', { name: nextVersus.players[nextVersus.currentPlayer].name }), onClick: handleVersusHandoff }]);
+    setShowModal(true);
+  };
+
+  // Buy a hint during recall; its cost comes off the game score right away
+  const handleBuyHint = (hint) => {
+    if (gameState !== 'odd_one_out_recall' || !canBuyHint(hint, totalScore, hintsUsed)) return;
+    setTotalScore(totalScore - hint.cost);
+    setHintsUsed([...hintsUsed, hint.id]);
+    if (hint.id === 'eliminate') {
+      // Seeded from the board, so the same board always rules out the same tiles
+      const eliminated = pickEliminatedTiles(currentGridNumbers, changedTileIndices, createRng(`${getRoundSeed(seed, boardIndex)}:hint`));
+      setEliminatedTileIndices(eliminated);
+      setSelectedTileIndices(selectedTileIndices.filter(index => !eliminated.includes(index)));
+      setFeedbackMessage(t('round.ruledOut', { count: eliminated.length }));
+    } else if (hint.id === 'flash') {
+      setIsFlashing(true);
     }
   };
 
-  // Check answers when user submits
-  const handleSubmitRecall = () => {
-    if (selectedTileIndex === null) {
-      setFeedbackMessage('Please select a tile!');
+  // End the original-board flash after its moment is up
+  useEffect(() => {
+    if (!isFlashing) return undefined;
+    const flashTimer = setTimeout(() => setIsFlashing(false), HINTS.flash.durationMs);
+    return () => clearTimeout(flashTimer);
+  }, [isFlashing]);
+
+  // Check answers when user submits. When the recall time limit runs out the round is
+  // submitted as it stands, and no pick at all counts as a miss.
+  const handleSubmitRecall = ({ timedOut = false } = {}) => {
+    if (selectedTileIndices.length === 0 && !timedOut) {
+      setFeedbackMessage(t('round.selectTile'));
+      return;
+    }
+
+    const homeAction = { text: t('action.home'), onClick: () => navigate('/') };
+    const tryAgainAction = { text: t('action.tryAgain'), onClick: handleTryAgain };
+    const nextRoundAction = { text: t('action.nextRound'), onClick: () => nextRoundRef.current() };
+
+    // Each change type has its own rules for which picks count
+    const { hits, falsePositives } = checkRoundAnswer({ changeType: roundChangeType, changedIndices: changedTileIndices }, selectedTileIndices);
+    const isCorrect = hits.length === changedTileIndices.length && falsePositives.length === 0; // Every changed tile found
+    const isPartial = !isCorrect && hits.length > 0; // Some found: partial credit, the game goes on
+    const responseTimeMs = Date.now() - recallStartedAt.current;
+    // Scoring counts changes, not tiles: a swap moves two tiles but is one change
+    const changeCount = countChanges(roundChangeType, changedTileIndices.length);
+    const breakdown = calculateRoundScore({
+      hits: countChanges(roundChangeType, hits.length),
+      falsePositives: falsePositives.length,
+      changeCount,
+      responseTimeMs,
+      numTiles,
+      difficulty: roundDifficulty,
+      streak: versus ? versus.players[versus.currentPlayer].streak : streak, // Versus players each keep their own streak
+    });
+    const changeDescription = describeRoundChange(
+      roundChangeType,
+      changedTileIndices.map(index => currentGridNumbers[index]),
+      removedValues,
+      tileContent,
+      t,
+    );
+    const review = buildRoundReview({
+      changeType: roundChangeType,
+      originalNumbers: originalGridNumbers,
+      recallNumbers: preparedRecallNumbers,
+      changedIndices: changedTileIndices,
+      previousValues,
+    }, selectedTileIndices);
+    setRoundReview(review);
+    if (versus) {
+      finishVersusTurn({ breakdown, hits, isCorrect, responseTimeMs, changeDescription });
       return;
     }
+    const earnedScore = breakdown.total; // No score when nothing changed was found
+    const newTotal = totalScore + earnedScore;
+    const playMode = gameRules.playMode ?? DEFAULT_PLAY_MODE;
+    const gameRecord = { difficulty, playMode, finalScore: newTotal, rounds: boardIndex + 1, daily: dailyChallenge?.dailyKey || null };
+
+    recordRound({
+      difficulty: roundDifficulty,
+      adaptiveLevel: adaptive ? adaptive.level : null,
+      numTiles,
+      tileSet: gameRules.contentId,
+      correct: isCorrect,
+      changeCount,
+      hits: hits.length,
+      falsePositives: falsePositives.length,
+      responseTimeMs,
+      score: earnedScore,
+      hintsUsed,
+      playMode,
+      studyTimeMs,
+      daily: gameRecord.daily,
+    });
+    // Versus turns aren't kept: the list is the player's own. Entries keep the round's details,
+    // not text, so the list follows a later language change.
+    setMistakes(addSessionMistake(mistakes, {
+      daily: gameRecord.daily,
+      difficulty,
+      boardNumber: boardIndex + 1,
+      changeType: roundChangeType,
+      contentId: gameRules.contentId,
+      review,
+    }));
+    setTotalScore(newTotal);
+    setStreak(isCorrect ? streak + 1 : 0); // A miss (or a partial find) breaks the streak
+    const details = hits.length > 0 ? describeScoreBreakdown(breakdown, t) : [];
+    if (studyTimeMs !== null) {
+      const studySeconds = t.formatNumber(studyTimeMs / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+      details.push({ label: t('result.studyTime'), value: t('unit.seconds', { value: studySeconds }) });
+    }
+
+    // Adaptive games move to the next level (or back) based on this round
+    if (adaptive) {
+      const { state, change } = nextAdaptiveState(adaptive, { correct: isCorrect, responseTimeMs });
+      setAdaptive(state);
+      if (change) {
+        const { numTiles: nextTiles, memorizeMs } = getAdaptiveLevel(change.to);
+        recordLevelChange({ ...change, numTiles: nextTiles, memorizeMs });
+        details.push({
+          label: t(change.to > change.from ? 'result.levelUp' : 'result.levelDown'),
+          value: `${t.formatNumber(change.from)} → ${t.formatNumber(change.to)}`,
+        });
+      }
+    }
+    setModalDetails(details);
 
-    const homeAction = { text: 'Home', onClick: () => { setGameState('start'); setShowModal(false); setSelectedTileIndex(null); setTotalScore(0); } };
-    const tryAgainAction = { text: 'Try Again', onClick: handleNextRoundOrTryAgain };
-    const nextRoundAction = { text: 'Next Round', onClick: handleNextRoundOrTryAgain };
-
-    if (selectedTileIndex === changedTileIndex) {
-      setRoundScore(BASE_SCORE_PER_CORRECT); // Set round score
-      setTotalScore(prevTotal => {
-        const newTotal = prevTotal + BASE_SCORE_PER_CORRECT;
-        if (newTotal >= TOTAL_SCORE_TO_WIN) {
-          setGameState('overall_win');
-          setFeedbackMessage('You are the CHAMPION!');
-          setModalMessage('You are the CHAMPION! Final Score: ' + newTotal);
-          setModalActions([homeAction]); // Only Home after overall win
+    const isFound = isCorrect || isPartial;
+    if (dailyChallenge && isLastDailyBoard(dailyChallenge, boardIndex) && newTotal < TOTAL_SCORE_TO_WIN && (isFound || lives > 1)) {
+      // The Daily Challenge has a fixed set of boards: after the last one it ends with the score
+      // it reached (winning and running out of lives end it as usual)
+      if (!isFound) setLives(lives - 1);
+      recordGame({ ...gameRecord, outcome: 'complete' });
+      setGameState('daily_complete');
+      if (isCorrect) {
+        setFeedbackMessage(t('result.complete'));
+      } else if (isPartial) {
+        setFeedbackMessage(t('result.partial', { found: hits.length, count: changedTileIndices.length, change: changeDescription }));
+      } else {
+        setFeedbackMessage(t(timedOut ? 'result.timeUp' : 'result.missed', { change: changeDescription }));
+      }
+      setModalMessage(t('result.dailyCompleteScore', { score: newTotal }));
+      setModalActions([homeAction, tryAgainAction]);
+      setShowModal(true);
+    } else if (isFound) {
+      if (newTotal >= TOTAL_SCORE_TO_WIN) {
+        recordGame({ ...gameRecord, outcome: 'win' });
+        setGameState('overall_win');
+        setFeedbackMessage(t('result.champion'));
+        setModalMessage(t('result.championScore', { score: newTotal }));
+        setModalActions([homeAction]); // Only Home after overall win
+      } else {
+        setGameState('round_win');
+        if (isPartial) {
+          setFeedbackMessage(t('result.partial', { found: hits.length, count: changedTileIndices.length, change: changeDescription }));
+          setModalMessage(t('result.partialTotal', { found: hits.length, count: changedTileIndices.length, total: newTotal }));
         } else {
-          setGameState('round_win');
-          setFeedbackMessage('Round Complete!');
-          setModalMessage(`Round Complete! Total Score: ${newTotal}.`);
-          setModalActions([homeAction, nextRoundAction]);
+          setFeedbackMessage(t('result.complete'));
+          setModalMessage(t('result.completeTotal', { total: newTotal }));
         }
-        setShowModal(true); // Show modal for win/round complete
-        return newTotal;
-      });
+        setModalActions([homeAction, nextRoundAction]);
+      }
+      setShowModal(true); // Show modal for win/round complete
+    } else if (lives > 1) {
+      // A miss costs a life; the game goes on with the next board
+      const livesLeft = lives - 1;
+      setLives(livesLeft);
+      setGameState('round_lost');
+      setFeedbackMessage(t(timedOut ? 'result.timeUp' : 'result.missed', { change: changeDescription }));
+      setModalMessage(t(timedOut ? 'result.timeUpLives' : 'result.missedLives', { count: livesLeft, total: newTotal }));
+      setModalActions([homeAction, nextRoundAction]);
+      setShowModal(true);
     } else {
-      setRoundScore(0); // No score for incorrect selection
+      setLives(0);
+      recordGame({ ...gameRecord, outcome: 'loss' });
       setGameState('game_over');
-      setFeedbackMessage('Wrong! The changed number was: ' + currentGridNumbers[changedTileIndex]);
-      setModalMessage('Game Over! The changed tile was: ' + currentGridNumbers[changedTileIndex]);
+      setFeedbackMessage(t(timedOut ? 'result.timeUp' : 'result.wrong', { change: changeDescription }));
+      setModalMessage(t(timedOut ? 'result.timeUpGameOver' : 'result.gameOver', { change: changeDescription }));
       setModalActions([homeAction, tryAgainAction]); // Home or Try Again after game over
       setShowModal(true); // Show modal for game over
     }
   };
 
-  // Render the game grid dynamically
-  const renderGrid = useCallback(() => {
-    const cells = [];
-    const numbersToDisplay = currentGridNumbers; // Always render from the current displayed numbers
+  // Arrow keys move focus across the board, Home/End jump to either end of the row
+  const handleGridKeyDown = (event) => {
+    const column = focusedTileIndex % currentGridDimension;
+    const moves = {
+      ArrowLeft: -1,
+      ArrowRight: 1,
+      ArrowUp: -currentGridDimension,
+      ArrowDown: currentGridDimension,
+      Home: -column,
+      End: currentGridDimension - 1 - column,
+    };
+    if (!(event.key in moves)) return;
+    event.preventDefault();
+    const target = focusedTileIndex + moves[event.key];
+    // Stay on the board and skip the empty slot of a 'remove' round
+    if (target < 0 || target >= numTiles || currentGridNumbers[target] === undefined) return;
+    setFocusedTileIndex(target);
+    tileRefs.current[target]?.focus();
+  };
+
+  // Recall clock of Practice and Time Attack (and of custom games that set one); runs out into an automatic submit
+  const recallTimer = useDeadlineTimer({
+    durationMs: phaseLimits.recallMs ?? 0,
+    active: gameState === 'odd_one_out_recall' && isRecallTimed,
+    resetKey: preparedRecallNumbers,
+    onExpire: () => handleSubmitRecall({ timedOut: true }),
+  });
+  const recallCountdown = Math.ceil(recallTimer.remainingMs / 1000);
+  const pausedTimer = [memorizeTimer, recallTimer].find(timer => timer.paused); // Either phase can be paused
+  const isPaused = Boolean(pausedTimer);
+
+  // "S" submits during recall, from anywhere on the page (but not while paused, with the board hidden)
+  const submitShortcutRef = useRef(null);
+  submitShortcutRef.current = handleSubmitRecall;
+  useEffect(() => {
+    if (gameState !== 'odd_one_out_recall' || isPaused) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key.toLowerCase() !== 's' || event.ctrlKey || event.metaKey || event.altKey) return;
+      event.preventDefault();
+      submitShortcutRef.current();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [gameState, isPaused]);
+
+  // Tick through the last few seconds of whichever clock is running
+  let tickingSeconds = 0;
+  if (gameState === 'memorize_original') {
+    tickingSeconds = countdown;
+  } else if (gameState === 'odd_one_out_recall' && isRecallTimed) {
+    tickingSeconds = recallCountdown;
+  }
+  useEffect(() => {
+    if (tickingSeconds > 0 && tickingSeconds <= 3) soundPlayer.play('tick');
+  }, [tickingSeconds]);
+
+  // Keep the sound player on the saved settings
+  useEffect(() => {
+    soundPlayer.updateSettings(soundSettings);
+  }, [soundSettings]);
+
+  // Cue the switch to recall and the result of every round
+  useEffect(() => {
+    if (STATE_SOUNDS[gameState]) soundPlayer.play(STATE_SOUNDS[gameState]);
+  }, [gameState]);
+
+  // Save sound settings right away and play a sample at the new level
+  const handleSoundChange = (changes) => {
+    const next = { ...soundSettings, ...changes };
+    setSoundSettings(next);
+    saveSoundSettings(next);
+    soundPlayer.updateSettings(next);
+    soundPlayer.play('select');
+  };
+
+  const handleResetStats = () => {
+    clearStats();
+    setStatsSummary(summarizeStats(loadStats()));
+  };
+
+  // Render the game grid dynamically. It follows the ARIA grid pattern: one tab stop for the
+  // whole board (roving tabindex), arrow keys move between tiles, Enter/Space toggle a tile.
+  const renderGrid = () => {
+    const isShowingOriginal = isFlashing && gameState === 'odd_one_out_recall'; // The flash hint is on
+    // Render from the current displayed values, or the original board during a flash
+    const numbersToDisplay = isShowingOriginal ? originalGridNumbers : currentGridNumbers;
+    const isRecall = gameState === 'odd_one_out_recall' && !isShowingOriginal;
+    const isReveal = RESULT_STATES.includes(gameState);
+    const rows = [];
 
     for (let i = 0; i < numTiles; i++) {
       const tileValue = numbersToDisplay[i];
-      const isSelected = selectedTileIndex === i;
-      const isChanged = (gameState === 'overall_win' || gameState === 'round_win' || gameState === 'game_over') && i === changedTileIndex;
+      const isSelected = selectedTileIndices.includes(i);
+      const isChanged = changedTileIndices.includes(i);
+      const rowIndex = Math.floor(i / currentGridDimension);
+      if (!rows[rowIndex]) rows[rowIndex] = [];
+
+      // A 'remove' round leaves the last slot empty; keep it as a blank so the layout doesn't jump
+      if (tileValue === undefined) {
+        rows[rowIndex].push(
+          <div key={i} role="gridcell" aria-label={t('board.empty')} className="rounded-lg border-2 border-dashed border-line" />
+        );
+        continue;
+      }
 
-      let cellClasses = `flex items-center justify-center p-2 rounded-lg font-bold text-2xl cursor-pointer transition-colors duration-200 ease-in-out border-2 border-gray-700`;
+      let cellClasses = `relative flex items-center justify-center w-full h-full p-2 rounded-lg font-bold text-2xl cursor-pointer transition-colors duration-200 ease-in-out border-2 border-line focus:outline-none focus-visible:ring-4 focus-visible:ring-focus`;
+      let status = null; // Spoken next to the tile value, and drawn as a badge after the round
+      let badge = null;
 
       // Apply styling based on game state and tile properties
-      if (gameState === 'memorize_original') {
+      if (gameState === 'memorize_original' || isShowingOriginal) {
         // Tiles during observation phase: dark background, light text
-        cellClasses += ' bg-gray-800 text-gray-50';
-      } else if (gameState === 'odd_one_out_recall') {
+        cellClasses += ' bg-tile text-content';
+      } else if (isRecall && eliminatedTileIndices.includes(i)) {
+        // Ruled out by a hint: can't be picked
+        cellClasses += ' bg-sunken text-faint opacity-40 cursor-not-allowed';
+        status = t('tile.ruledOut');
+      } else if (isRecall) {
         // Tiles during recall phase: blue when selected, otherwise dark
-        cellClasses += isSelected ? ' bg-blue-500 text-white shadow-lg' : ' bg-gray-800 text-gray-50 hover:bg-gray-700';
-      } else if (gameState === 'round_win' || gameState === 'overall_win' || gameState === 'game_over') {
-        // After game ends: green for changed, red for incorrect selection, dark for others
-        if (i === changedTileIndex) {
-          cellClasses += ' bg-green-500 text-white animate-pulse'; // Highlight the correct changed tile
-        } else if (isSelected && i !== changedTileIndex) {
-          cellClasses += ' bg-red-500 text-white'; // Highlight user's incorrect selection
+        cellClasses += isSelected ? ' bg-tile-selected text-on-tile-selected shadow-lg' : ' bg-tile text-content hover:bg-raised';
+        status = isSelected ? t('tile.selected') : null;
+      } else if (isReveal) {
+        // After the round: hits, missed changes and false positives each get their own look and
+        // badge (so the result doesn't rely on color alone), and changed tiles play the
+        // animation of this round's change type
+        if (isChanged && isSelected) {
+          cellClasses += ` bg-tile-found text-on-tile-found ${REVEAL_ANIMATIONS[roundChangeType]}`; // Changed tile the player found
+          status = t('tile.found');
+          badge = faCheck;
+        } else if (isChanged) {
+          cellClasses += ` bg-tile-missed text-on-tile-missed ${REVEAL_ANIMATIONS[roundChangeType]}`; // Changed tile the player missed
+          status = t('tile.missed');
+          badge = faCircleExclamation;
+        } else if (isSelected) {
+          cellClasses += ' bg-tile-wrong text-on-tile-wrong'; // Highlight user's incorrect selection
+          status = t('tile.wrongPick');
+          badge = faXmark;
         } else {
-          cellClasses += ' bg-gray-800 text-gray-500'; // Default for other tiles
+          cellClasses += ' bg-tile text-faint'; // Default for other tiles
         }
       }
 
-      cells.push(
-        <div
-          key={i} // Use index as key, as tile values can change and be duplicated
-          // Removed `w-full h-full` from here
-          className={`${cellClasses}`}
-          onClick={() => handleTileClick(i)} // Pass the tile's index to the click handler
-        >
-          {tileValue}
+      const tileName = tileContent.describe(tileValue, t);
+      rows[rowIndex].push(
+        <div key={i} role="gridcell" aria-selected={isRecall ? isSelected : undefined} className="flex">
+          <button
+            ref={element => { tileRefs.current[i] = element; }}
+            type="button"
+            tabIndex={i === focusedTileIndex ? 0 : -1}
+            aria-label={status ? t('board.tileStatus', { tile: tileName, status }) : tileName}
+            aria-disabled={!isRecall || eliminatedTileIndices.includes(i)}
+            className={cellClasses}
+            onFocus={() => setFocusedTileIndex(i)}
+            onClick={() => handleTileClick(i)} // Pass the tile's index to the click handler
+          >
+            {tileContent.renderTile(tileValue, t)}
+            {badge && <FontAwesomeIcon icon={badge} className="absolute top-1 end-1 text-base" />}
+          </button>
         </div>
       );
     }
     return (
       <div
         ref={gridRef}
-        // Explicitly defining grid columns for robustness.
+        role="grid"
+        aria-label={t(isRecall ? 'board.recall' : 'board.board')}
+        onKeyDown={handleGridKeyDown}
+        // Columns are set inline so any grid dimension works (Tailwind only ships the
+        // grid-cols-N classes it finds in the source).
         // `max-w-2xl` for overall width, `aspect-square` for square shape.
         // `p-4` and `gap-2` for padding and spacing.
-        className={`grid ${currentGridDimension === 3 ? 'grid-cols-3' : currentGridDimension === 4 ? 'grid-cols-4' : ''} gap-2 p-4 rounded-xl shadow-xl w-full max-w-2xl aspect-square
-          ${gameState === 'memorize_original' ? 'bg-black bg-opacity-30' : 'bg-gray-900'}
+        style={{ gridTemplateColumns: `repeat(${currentGridDimension}, minmax(0, 1fr))` }}
+        className={`grid gap-2 p-4 rounded-xl shadow-xl w-full max-w-2xl aspect-square
+          ${gameState === 'memorize_original' ? 'bg-sunken/50' : 'bg-sunken'}
         `}
       >
-        {cells}
-      </div>
-    );
-  }, [numTiles, currentGridNumbers, selectedTileIndex, changedTileIndex, gameState, currentGridDimension]);
-
-
-  // Modal Component (unchanged)
-  const Modal = ({ message, actions }) => {
-    if (!showModal) return null;
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
-        <div className="bg-gray-800 p-8 rounded-xl shadow-2xl text-white text-center border border-gray-700">
-          <p className="text-3xl font-bold mb-6">{message}</p>
-          <div className="flex justify-center gap-4">
-            {actions.map((action, index) => (
-              <button
-                key={index}
-                onClick={action.onClick}
-                className="px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
-              >
-                {action.text}
-              </button>
-            ))}
-          </div>
-        </div>
+        {/* Rows only exist for assistive tech; `contents` keeps the cells on the CSS grid */}
+        {rows.map((cells, rowIndex) => (
+          <div key={rowIndex} role="row" className="contents">{cells}</div>
+        ))}
       </div>
     );
   };
 
   return (
-    <div className="min-h-screen bg-gray-950 text-white font-inter flex flex-col items-center justify-center p-4">
-      <Modal message={modalMessage} actions={modalActions} />
+    <div className="min-h-screen bg-page text-content font-inter flex flex-col items-center justify-center p-4">
+      <Modal
+        isOpen={showModal}
+        message={modalMessage}
+        details={modalDetails}
+        actions={modalActions}
+        onClose={() => setShowModal(false)} // Escape leaves the result on screen with its own buttons
+      />
 
       {/* Header */}
-      <h1 className="text-5xl font-extrabold mb-8 text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-pink-600 animate-pulse">
-        Odd One Out
+      <h1 className="text-5xl font-extrabold mb-8 text-transparent bg-clip-text bg-gradient-to-r from-brand to-brand-end animate-pulse">
+        {t('app.title')}
       </h1>
 
+      {/* Versus scoreboard; the player whose turn it is gets highlighted */}
+      {versus && gameState !== 'versus_setup' && (
+        <ol className="mb-6 flex flex-wrap justify-center gap-4 text-xl font-semibold" aria-label={t('hud.scoreboard')}>
+          {versus.players.map((player, index) => {
+            const isActive = index === versus.currentPlayer && (gameState === 'versus_handoff' || gameState === 'memorize_original' || gameState === 'odd_one_out_recall');
+            return (
+              <li key={player.name} className={`px-4 py-2 rounded-lg ${isActive ? 'bg-accent text-on-accent' : 'bg-surface text-highlight'}`}>
+                {player.name}: {t.formatNumber(player.score)}
+                {isActive && <span className="sr-only"> {t('hud.playing')}</span>}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
       {/* Current Total Score */}
-      {gameState !== 'start' && gameState !== 'difficulty' && gameState !== 'number_selection' && (
-        <div className="mb-6 text-3xl font-semibold text-yellow-400">
-          Total Score: {totalScore} / {TOTAL_SCORE_TO_WIN}
+      {!versus && gameState !== 'start' && gameState !== 'difficulty' && gameState !== 'number_selection' && gameState !== 'stats' && gameState !== 'settings' && gameState !== 'versus_setup' && gameState !== 'custom_setup' && gameState !== 'mistakes' && (
+        <div className="mb-6 text-3xl font-semibold text-highlight">
+          {t('hud.totalScore', { score: totalScore, goal: TOTAL_SCORE_TO_WIN })}
+          {streak > 1 && <span className="ms-4 text-highlight">{t('hud.streak', { count: streak })}</span>}
+          {adaptive && (
+            <span
+              className="ms-4 text-highlight"
+              title={t('hud.levelDetails', { tiles: adaptiveLevel.numTiles, seconds: t('unit.seconds', { value: memorizeTimeMs / 1000 }) })}
+            >
+              {t('hud.level', { level: adaptive.level, max: ADAPTIVE_LEVELS.length })}
+            </span>
+          )}
+          {lives !== null && (
+            <span className="ms-4 text-danger" aria-label={t('hud.lives', { count: lives })}>
+              {Array.from({ length: lives }, (_, index) => (
+                <FontAwesomeIcon key={index} icon={faHeart} className="me-1" />
+              ))}
+            </span>
+          )}
+          {/* Hints can only be bought during recall, once each per round */}
+          <span className="ms-4 inline-flex gap-2 align-middle">
+            {Object.values(HINTS).map(hint => (
+              <button
+                key={hint.id}
+                onClick={() => handleBuyHint(hint)}
+                disabled={gameState !== 'odd_one_out_recall' || !canBuyHint(hint, totalScore, hintsUsed)}
+                title={t('hud.hintTitle', { description: t(`hint.${hint.id}.description`), cost: hint.cost })}
+                className="px-3 py-1 bg-raised hover:bg-raised-hover disabled:opacity-40 disabled:cursor-not-allowed text-content rounded-lg font-semibold text-base transition-all duration-200 ease-in-out focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+              >
+                <FontAwesomeIcon icon={faLightbulb} className="me-1 text-highlight" />
+                {t('hud.hintButton', { label: t(`hint.${hint.id}.label`), cost: hint.cost })}
+              </button>
+            ))}
+          </span>
         </div>
       )}
 
       {/* Game States */}
       {gameState === 'start' && (
-        <div className="flex flex-col items-center justify-center bg-gray-800 p-10 rounded-xl shadow-2xl border border-gray-700">
-          <p className="text-xl mb-8 text-center text-gray-300">
-            Test your observation! Find the number that changed.
+        <div className="flex flex-col items-center justify-center bg-surface p-10 rounded-xl shadow-2xl border border-line">
+          <p className="text-xl mb-8 text-center text-muted">
+            {t('start.intro')}
+          </p>
+          <button
+            onClick={() => navigate('/play')}
+            className="px-8 py-4 bg-primary hover:bg-primary-hover text-on-primary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+          >
+            {t('start.play')}
+          </button>
+          <button
+            onClick={() => navigate('/daily')}
+            className="mt-4 px-8 py-4 bg-warning hover:bg-warning-hover text-on-warning rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+          >
+            {t('start.daily')}
+          </button>
+          <button
+            onClick={() => navigate('/versus')}
+            className="mt-4 px-8 py-4 bg-tertiary hover:bg-tertiary-hover text-on-tertiary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+          >
+            {t('start.versus')}
+          </button>
+          <button
+            onClick={() => navigate('/stats')}
+            className="mt-4 px-6 py-3 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+          >
+            {t('start.stats')}
+          </button>
+          <button
+            onClick={() => navigate('/settings')}
+            className="mt-4 px-6 py-3 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+          >
+            {t('start.settings')}
+          </button>
+          {mistakes.length > 0 && (
+            <button
+              onClick={() => navigate('/mistakes')}
+              className="mt-4 px-6 py-3 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+            >
+              {t('start.mistakes', { count: mistakes.length })}
+            </button>
+          )}
+        </div>
+      )}
+
+      {gameState === 'mistakes' && (
+        <MistakesScreen mistakes={mistakes} onBack={() => navigate('/')} />
+      )}
+
+      {gameState === 'stats' && statsSummary && (
+        <StatsScreen summary={statsSummary} onBack={() => navigate('/')} onReset={handleResetStats} />
+      )}
+
+      {gameState === 'settings' && (
+        <SettingsScreen
+          settings={settings}
+          soundSettings={soundSettings}
+          themePreference={themePreference}
+          locale={t.locale}
+          onChange={(changes) => setSettings(previous => ({ ...previous, ...changes }))}
+          onSoundChange={handleSoundChange}
+          onThemeChange={onThemeChange}
+          onLocaleChange={onLocaleChange}
+          onDone={() => navigate('/')}
+        />
+      )}
+
+      {gameState === 'custom_setup' && customSettings && (
+        <CustomGameScreen
+          initialSettings={customSettings}
+          contentId={settings.contentId}
+          onPlay={(custom) => {
+            saveCustomSettings(custom);
+            navigate(`/play/${CUSTOM_DIFFICULTY}`);
+          }}
+          onBack={() => navigate('/play')}
+        />
+      )}
+
+      {gameState === 'versus_setup' && (
+        <VersusSetupScreen
+          initialSetup={readStorage(VERSUS_SETUP_KEY, DEFAULT_VERSUS_SETUP)}
+          onStart={startVersusGame}
+          onBack={() => navigate('/')}
+        />
+      )}
+
+      {/* Hand-off between versus turns: nothing of the board is on screen */}
+      {gameState === 'versus_handoff' && versus && (
+        <div className="flex flex-col items-center justify-center bg-surface p-10 rounded-xl shadow-2xl border border-line">
+          <p className="text-lg mb-2 text-subtle">
+            {t('versus.turn', { turn: getTurnsPlayed(versus) + 1, total: getTotalTurns(versus) })}
+          </p>
+          <p className="text-3xl font-bold mb-2 text-center text-content">
+            {t('versus.passDevice', { name: versus.players[versus.currentPlayer].name })}
           </p>
+          <p className="mb-8 text-subtle">{t('versus.lookAway')}</p>
           <button
-            onClick={() => setGameState('difficulty')}
-            className="px-8 py-4 bg-green-600 hover:bg-green-700 text-white rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+            onClick={startVersusTurn}
+            autoFocus
+            className="px-8 py-4 bg-primary hover:bg-primary-hover text-on-primary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105 focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
           >
-            Start Game
+            {t('versus.ready', { name: versus.players[versus.currentPlayer].name })}
           </button>
         </div>
       )}
 
       {gameState === 'difficulty' && (
-        <div className="flex flex-col items-center justify-center bg-gray-800 p-10 rounded-xl shadow-2xl border border-gray-700">
-          <p className="text-xl mb-8 text-center text-gray-300">
-            Select Difficulty:
+        <div className="flex flex-col items-center justify-center bg-surface p-10 rounded-xl shadow-2xl border border-line">
+          <p className="text-xl mb-2 text-center text-muted">
+            {t('difficulty.prompt')}
           </p>
+          <p className="mb-4 text-center text-sm text-subtle">
+            {t('difficulty.summary', {
+              tileSet: t(`tileSet.${getTileContentProvider(settings.contentId).id}`),
+              changeType: t(`changeType.${settings.changeType}`),
+            })}
+            <button onClick={() => navigate('/settings')} className="ms-2 underline text-highlight hover:opacity-80">
+              {t('action.change')}
+            </button>
+          </p>
+          <div className="flex gap-2 mb-2" role="group" aria-label={t('difficulty.modes')}>
+            {Object.values(PLAY_MODES).map(mode => (
+              <button
+                key={mode.id}
+                onClick={() => setSettings(previous => ({ ...previous, playMode: mode.id }))}
+                aria-pressed={settings.playMode === mode.id}
+                className={`px-4 py-2 ${settings.playMode === mode.id ? 'bg-accent text-on-accent' : 'bg-raised hover:bg-raised-hover text-content'} rounded-lg font-semibold transition-all duration-200 ease-in-out shadow-md`}
+              >
+                {t(`mode.${mode.id}.label`)}
+              </button>
+            ))}
+          </div>
+          <p className="mb-8 text-center text-sm text-subtle">{t(`mode.${getPlayMode(settings.playMode).id}.description`)}</p>
           <div className="flex gap-4">
             <button
               onClick={() => handleDifficultySelect('easy')}
-              className="px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+              className="px-6 py-3 bg-secondary hover:bg-secondary-hover text-on-secondary rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
             >
-              Easy
+              {t('difficulty.easy')}
             </button>
             <button
               onClick={() => handleDifficultySelect('medium')}
-              className="px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+              className="px-6 py-3 bg-tertiary hover:bg-tertiary-hover text-on-tertiary rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
             >
-              Medium
+              {t('difficulty.medium')}
             </button>
             <button
               onClick={() => handleDifficultySelect('hard')}
-              className="px-6 py-3 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+              className="px-6 py-3 bg-danger-fill hover:bg-danger-fill-hover text-on-danger rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+            >
+              {t('difficulty.hard')}
+            </button>
+            <button
+              onClick={() => navigate(ADAPTIVE_PATH)}
+              className="px-6 py-3 bg-warning hover:bg-warning-hover text-on-warning rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+            >
+              {t('difficulty.adaptive')}
+            </button>
+            <button
+              onClick={() => navigate('/custom')}
+              className="px-6 py-3 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
             >
-              Hard
+              {t('difficulty.custom')}
             </button>
           </div>
         </div>
       )}
 
       {gameState === 'number_selection' && (
-        <div className="flex flex-col items-center justify-center bg-gray-800 p-10 rounded-xl shadow-2xl border border-gray-700">
-          <p className="text-xl mb-8 text-center text-gray-300">
-            Select the number of tiles (Difficulty: <span className="capitalize text-yellow-400">{difficulty}</span>):
+        <div className="flex flex-col items-center justify-center bg-surface p-10 rounded-xl shadow-2xl border border-line">
+          <p className="text-xl mb-8 text-center text-muted">
+            {t('tiles.prompt', { difficulty: t(`difficulty.${difficulty}`) })}
           </p>
           <div className="flex gap-4">
-            {/* Dynamically render number selection buttons based on difficulty */}
+            {/* Render number selection buttons based on difficulty */}
             {(() => {
-              let countOptions;
-              switch (difficulty) {
-                case 'easy':
-                  countOptions = [4, 5, 6, 7, 8];
-                  break;
-                case 'medium':
-                  countOptions = [8, 9, 10, 11, 12];
-                  break;
-                case 'hard':
-                  countOptions = [12, 13, 14, 15, 16];
-                  break;
-                default:
-                  countOptions = []; // Fallback, though not expected
-              }
+              const countOptions = TILE_COUNT_OPTIONS[difficulty] || [];
               return countOptions.map(count => (
                 <button
                   key={count}
                   onClick={() => handleNumTilesSelect(count)}
-                  className="px-6 py-3 bg-teal-600 hover:bg-teal-700 text-white rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+                  className="px-6 py-3 bg-info hover:bg-info-hover text-on-info rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
                 >
-                  {count}
+                  {t.formatNumber(count)}
                 </button>
               ));
             })()}
@@ -355,62 +1195,255 @@ const App = () => {
         </div>
       )}
 
-      {(gameState === 'memorize_original' || gameState === 'odd_one_out_recall' || gameState === 'round_win' || gameState === 'overall_win' || gameState === 'game_over') && (
+      {(gameState === 'memorize_original' || gameState === 'odd_one_out_recall' || RESULT_STATES.includes(gameState)) && (
         <>
-          <div className="text-2xl font-semibold mb-4 text-gray-300">
+          {/* Prompts and round results are announced by screen readers as they change */}
+          <div role="status" aria-live="polite" className="text-2xl font-semibold mb-4 text-muted">
             {feedbackMessage}
-            {gameState === 'memorize_original' && countdown > 0 && (
-              <span className="ml-2 text-yellow-300">({countdown}s)</span>
-            )}
           </div>
-          {renderGrid()}
+          {gameState === 'memorize_original' && countdown > 0 && (
+            <div className="-mt-4 mb-4 flex items-center gap-4">
+              <span className="text-2xl font-semibold text-highlight" aria-hidden="true">{t('round.memorizeCountdown', { count: countdown })}</span>
+              {!memorizeTimer.paused && (
+                <button
+                  onClick={memorizeTimer.pause}
+                  className="px-3 py-1 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold transition-all duration-200 ease-in-out focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+                >
+                  <FontAwesomeIcon icon={faPause} className="me-2" />{t('action.pause')}
+                </button>
+              )}
+            </div>
+          )}
+          {gameState === 'memorize_original' && !isMemorizeTimed && (
+            <button
+              onClick={showRecallBoard}
+              className="-mt-2 mb-4 px-6 py-2 bg-primary hover:bg-primary-hover text-on-primary rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+            >
+              {t('action.flip')}
+            </button>
+          )}
+          {recallTimer.remainingMs > 0 && gameState === 'odd_one_out_recall' && isRecallTimed && (
+            <div className="-mt-4 mb-4 flex items-center gap-4">
+              <span className={`text-2xl font-semibold ${recallCountdown <= 3 ? 'text-danger' : 'text-highlight'}`} aria-hidden="true">
+                {t('round.answerCountdown', { count: recallCountdown })}
+              </span>
+              {!recallTimer.paused && (
+                <button
+                  onClick={recallTimer.pause}
+                  className="px-3 py-1 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold transition-all duration-200 ease-in-out focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+                >
+                  <FontAwesomeIcon icon={faPause} className="me-2" />{t('action.pause')}
+                </button>
+              )}
+            </div>
+          )}
+          {/* Only the first and last few seconds are read out, not every tick */}
+          <div className="sr-only" aria-live="assertive">
+            {gameState === 'memorize_original' && (countdown <= 3 || countdown === memorizeSeconds) && countdown > 0
+              ? t('round.memorizeLeft', { count: countdown })
+              : ''}
+            {gameState === 'odd_one_out_recall' && isRecallTimed && recallCountdown <= 3 && recallCountdown > 0
+              ? t('round.answerLeft', { count: recallCountdown })
+              : ''}
+          </div>
+          {pausedTimer ? (
+            // The board isn't rendered at all while paused, so a pause can't be used to study it
+            <div className="flex flex-col items-center justify-center gap-6 p-4 rounded-xl shadow-xl w-full max-w-2xl aspect-square bg-sunken border-2 border-line">
+              <p className="text-3xl font-bold text-muted">{t('round.paused')}</p>
+              <p className="text-subtle">
+                {t(pausedTimer === memorizeTimer ? 'round.pausedMemorize' : 'round.pausedAnswer', {
+                  seconds: t('unit.seconds', { value: Math.ceil(pausedTimer.remainingMs / 1000) }),
+                })}
+              </p>
+              <button
+                onClick={pausedTimer.resume}
+                autoFocus
+                className="px-8 py-4 bg-primary hover:bg-primary-hover text-on-primary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105 focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+              >
+                <FontAwesomeIcon icon={faPlay} className="me-2" />{t('action.resume')}
+              </button>
+            </div>
+          ) : renderGrid()}
+          {gameState === 'odd_one_out_recall' && changedTileIndices.length > 1 && (
+            <div className="mt-4 text-lg text-subtle">
+              {t('round.selected', { count: selectedTileIndices.length, total: changedTileIndices.length })}
+            </div>
+          )}
           {gameState === 'odd_one_out_recall' && (
+            <div className="mt-2 text-sm text-faint">
+              {t('round.keyboardHelp')}
+            </div>
+          )}
+          {RESULT_STATES.includes(gameState) && (
+            <div className="mt-4 flex gap-4 text-sm text-muted">
+              <span><FontAwesomeIcon icon={faCheck} className="me-1 text-tile-found" />{t('legend.found')}</span>
+              <span><FontAwesomeIcon icon={faCircleExclamation} className="me-1 text-tile-missed" />{t('legend.missed')}</span>
+              <span><FontAwesomeIcon icon={faXmark} className="me-1 text-tile-wrong" />{t('legend.wrongPick')}</span>
+            </div>
+          )}
+          {RESULT_STATES.includes(gameState) && roundReview && (
+            <div className="mt-4 flex gap-4">
+              <button
+                onClick={() => setShowReview(!showReview)}
+                aria-expanded={showReview}
+                className="px-4 py-2 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold transition-all duration-200 ease-in-out focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+              >
+                {t(showReview ? 'action.hideReview' : 'action.reviewRound')}
+              </button>
+              {!versus && mistakes.length > 0 && (
+                <button
+                  onClick={() => navigate('/mistakes')}
+                  className="px-4 py-2 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold transition-all duration-200 ease-in-out focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+                >
+                  {t('start.mistakes', { count: mistakes.length })}
+                </button>
+              )}
+            </div>
+          )}
+          {RESULT_STATES.includes(gameState) && roundReview && showReview && (
+            <div className="mt-6 w-full flex justify-center">
+              <RoundReview review={roundReview} tileContent={tileContent} />
+            </div>
+          )}
+          {gameState === 'odd_one_out_recall' && !isPaused && (
             <button
-              onClick={handleSubmitRecall}
-              className="mt-8 px-8 py-4 bg-green-600 hover:bg-green-700 text-white rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+              onClick={() => handleSubmitRecall()}
+              aria-keyshortcuts="S"
+              title={t('action.submitShortcut')}
+              className="mt-8 px-8 py-4 bg-primary hover:bg-primary-hover text-on-primary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
             >
-              Submit
+              {t('action.submit')}
             </button>
           )}
-          {(gameState === 'round_win' || gameState === 'overall_win' || gameState === 'game_over') && (
+          {versus && RESULT_STATES.includes(gameState) && (
+            <div className="flex gap-4 mt-8">
+              <button
+                onClick={() => navigate('/')}
+                className="px-8 py-4 bg-secondary hover:bg-secondary-hover text-on-secondary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+              >
+                {t('action.home')}
+              </button>
+              {isVersusOver(versus) ? (
+                <button
+                  onClick={() => showVersusStandings(versus)}
+                  className="px-8 py-4 bg-tertiary hover:bg-tertiary-hover text-on-tertiary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+                >
+                  {t('action.standings')}
+                </button>
+              ) : (
+                <button
+                  onClick={handleVersusHandoff}
+                  className="px-8 py-4 bg-primary hover:bg-primary-hover text-on-primary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+                >
+                  {t('action.passTo', { name: versus.players[versus.currentPlayer].name })}
+                </button>
+              )}
+            </div>
+          )}
+          {!versus && RESULT_STATES.includes(gameState) && (
             <div className="flex gap-4 mt-8">
               {/* This button is now always "Home" except for overall win "New Game" */}
               {gameState === 'overall_win' ? (
                 <button
-                  onClick={() => { setGameState('start'); setSelectedTileIndex(null); setTotalScore(0); }}
-                  className="px-8 py-4 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+                  onClick={() => navigate('/')}
+                  className="px-8 py-4 bg-tertiary hover:bg-tertiary-hover text-on-tertiary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
                 >
-                  New Game
+                  {t('action.newGame')}
                 </button>
               ) : (
                 <button
-                  onClick={() => { setGameState('start'); setSelectedTileIndex(null); setTotalScore(0); }}
-                  className="px-8 py-4 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+                  onClick={() => navigate('/')}
+                  className="px-8 py-4 bg-secondary hover:bg-secondary-hover text-on-secondary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
                 >
-                  Home
+                  {t('action.home')}
                 </button>
               )}
-              {gameState === 'round_win' ? (
+              {gameState === 'round_win' || gameState === 'round_lost' ? (
                 <button
-                  onClick={handleNextRoundOrTryAgain}
-                  className="px-8 py-4 bg-green-600 hover:bg-green-700 text-white rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+                  onClick={handleNextRound}
+                  className="px-8 py-4 bg-primary hover:bg-primary-hover text-on-primary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
                 >
-                  Next Round
+                  {t('action.nextRound')}
                 </button>
-              ) : ( // gameState === 'game_over'
+              ) : ( // gameState === 'game_over' or 'daily_complete'
                 <button
-                  onClick={handleNextRoundOrTryAgain}
-                  className="px-8 py-4 bg-yellow-600 hover:bg-yellow-700 text-white rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+                  onClick={handleTryAgain}
+                  className="px-8 py-4 bg-warning hover:bg-warning-hover text-on-warning rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
                 >
-                  Try Again
+                  {t('action.tryAgain')}
                 </button>
               )}
             </div>
           )}
+          {/* Versus boards are dealt per turn and custom rules aren't part of share links,
+              so a seed link wouldn't replay either */}
+          {!versus && difficulty !== CUSTOM_DIFFICULTY && (
+            <div className="mt-6 flex items-center gap-3 text-sm text-subtle">
+              <span>
+                {dailyChallenge
+                  ? t('round.dailyBoard', { date: dailyChallenge.dailyKey, board: boardIndex + 1, total: DAILY_CHALLENGE_ROUNDS })
+                  : t('round.seed', { seed: String(seed) })}
+              </span>
+              <button
+                onClick={handleShareSeed}
+                className="px-3 py-1 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold transition-all duration-200 ease-in-out"
+              >
+                {t('action.shareSeed')}
+              </button>
+              {shareMessage && <span className="text-highlight break-all">{shareMessage}</span>}
+            </div>
+          )}
         </>
       )}
     </div>
   );
 };
 
+// App root: the router gives every screen its own URL and working Back/Forward buttons, and
+// the translator for the picked language reaches every screen through I18nContext. The theme
+// is applied to the whole page from here, and the offline service worker is registered here so
+// a downloaded update can be offered with UpdatePrompt (or OfflineNotice shown when it can't be).
+const App = () => {
+  const [locale, setLocale] = useState(loadLocale); // Saved choice, or the browser's language
+  const translator = useMemo(() => createTranslator(locale), [locale]);
+  const [themePreference, setThemePreference] = useState(loadThemePreference); // A theme, or 'system'
+  const theme = resolveTheme(themePreference, useSystemPreferences());
+  const [waitingUpdate, setWaitingUpdate] = useState(null); // Registration with a new version waiting
+  const [offlineUnavailable, setOfflineUnavailable] = useState(false); // The service worker failed to register
+
+  useEffect(() => {
+    registerServiceWorker({ onUpdate: setWaitingUpdate, onError: () => setOfflineUnavailable(true) });
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  // The page language and direction follow the locale (Arabic lays the page out right to left)
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = translator.dir;
+  }, [locale, translator]);
+
+  const handleLocaleChange = (nextLocale) => {
+    setLocale(nextLocale);
+    saveLocale(nextLocale);
+  };
+
+  const handleThemeChange = (preference) => {
+    setThemePreference(preference);
+    saveThemePreference(preference);
+  };
+
+  return (
+    <I18nContext.Provider value={translator}>
+      <BrowserRouter>
+        <Game themePreference={themePreference} onThemeChange={handleThemeChange} onLocaleChange={handleLocaleChange} />
+      </BrowserRouter>
+      {waitingUpdate && <UpdatePrompt onReload={() => applyUpdate(waitingUpdate)} onLater={() => setWaitingUpdate(null)} />}
+      {offlineUnavailable && <OfflineNotice onDismiss={() => setOfflineUnavailable(false)} />}
+    </I18nContext.Provider>
+  );
+};
+
 export default App;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { validateCustomSettings, CUSTOM_LIMITS, NUMBER_POOL_STYLES } from './customGame';
+import { useI18n } from './i18n';
+
+const optionClasses = (isActive) =>
+  `px-4 py-2 ${isActive ? 'bg-accent text-on-accent' : 'bg-raised hover:bg-raised-hover text-content'} rounded-lg font-semibold transition-all duration-200 ease-in-out shadow-md`;
+
+const inputClasses = (hasError) =>
+  `w-24 px-3 py-2 rounded-lg bg-sunken text-content border ${hasError ? 'border-danger' : 'border-line-strong'} focus:outline-none focus-visible:ring-4 focus-visible:ring-focus`;
+
+// Number input bound to one field; the text is kept as typed and parsed for validation
+const NumberField = ({ id, label, value, error, min, max, onChange }) => (
+  <div className="flex flex-col">
+    <label htmlFor={id} className="mb-1 text-muted">{label}</label>
+    <input
+      id={id}
+      type="number"
+      inputMode="numeric"
+      min={min}
+      max={max}
+      value={value}
+      onChange={event => onChange(event.target.value)}
+      aria-invalid={Boolean(error)}
+      aria-describedby={error ? `${id}-error` : undefined}
+      className={inputClasses(error)}
+    />
+    {error && <p id={`${id}-error`} className="mt-1 max-w-xs text-sm text-danger">{error}</p>}
+  </div>
+);
+
+// Custom game screen. Fields are validated as they change, for boards of the `contentId` tile
+// set; `onPlay` receives the parsed, valid settings.
+const CustomGameScreen = ({ initialSettings, contentId, onPlay, onBack }) => {
+  const t = useI18n();
+  const [form, setForm] = useState({
+    ...initialSettings,
+    recallLimitSeconds: initialSettings.recallLimitSeconds ?? 30,
+    hasRecallLimit: initialSettings.recallLimitSeconds !== null,
+  });
+
+  const parse = (value) => (value === '' ? NaN : Number(value));
+  const settings = {
+    poolFrom: parse(form.poolFrom),
+    poolTo: parse(form.poolTo),
+    poolStyle: form.poolStyle,
+    numTiles: parse(form.numTiles),
+    memorizeSeconds: parse(form.memorizeSeconds),
+    recallLimitSeconds: form.hasRecallLimit ? parse(form.recallLimitSeconds) : null,
+  };
+  const errors = validateCustomSettings(settings, CUSTOM_LIMITS, t, contentId);
+  const isValid = Object.keys(errors).length === 0;
+
+  const update = (field) => (value) => setForm(previous => ({ ...previous, [field]: value }));
+
+  return (
+    <div className="flex flex-col items-center justify-center bg-surface p-10 rounded-xl shadow-2xl border border-line w-full max-w-xl">
+      <p className="text-3xl font-bold mb-6 text-content">{t('custom.title')}</p>
+
+      <p className="text-xl mb-4 text-center text-muted">{t('custom.numbers')}</p>
+      <div className="flex gap-4 mb-4">
+        <NumberField id="custom-pool-from" label={t('custom.from')} value={form.poolFrom} error={errors.poolFrom}
+          min={CUSTOM_LIMITS.minNumber} max={CUSTOM_LIMITS.maxNumber} onChange={update('poolFrom')} />
+        <NumberField id="custom-pool-to" label={t('custom.to')} value={form.poolTo} error={errors.poolTo}
+          min={CUSTOM_LIMITS.minNumber} max={CUSTOM_LIMITS.maxNumber} onChange={update('poolTo')} />
+      </div>
+      <div className="flex gap-2 mb-2">
+        {NUMBER_POOL_STYLES.map(style => (
+          <button key={style} onClick={() => update('poolStyle')(style)} className={optionClasses(form.poolStyle === style)}>
+            {t(`custom.poolStyle.${style}`)}
+          </button>
+        ))}
+      </div>
+      <p className="mb-8 text-sm text-subtle">{t('custom.numbersOnly')}</p>
+
+      <div className="flex gap-4 mb-8">
+        <NumberField id="custom-tiles" label={t('custom.tiles')} value={form.numTiles} error={errors.numTiles}
+          min={CUSTOM_LIMITS.minTiles} max={CUSTOM_LIMITS.maxTiles} onChange={update('numTiles')} />
+        <NumberField id="custom-memorize" label={t('custom.memorize')} value={form.memorizeSeconds} error={errors.memorizeSeconds}
+          min={CUSTOM_LIMITS.minMemorizeSeconds} max={CUSTOM_LIMITS.maxMemorizeSeconds} onChange={update('memorizeSeconds')} />
+      </div>
+
+      <label className="flex items-center gap-2 mb-2 text-muted">
+        <input
+          type="checkbox"
+          checked={form.hasRecallLimit}
+          onChange={event => update('hasRecallLimit')(event.target.checked)}
+          className="w-5 h-5"
+        />
+        {t('custom.recallLimit')}
+      </label>
+      {form.hasRecallLimit && (
+        <div className="mb-2">
+          <NumberField id="custom-recall" label={t('custom.answerWithin')} value={form.recallLimitSeconds} error={errors.recallLimitSeconds}
+            min={CUSTOM_LIMITS.minRecallSeconds} max={CUSTOM_LIMITS.maxRecallSeconds} onChange={update('recallLimitSeconds')} />
+        </div>
+      )}
+
+      <div className="flex gap-4 mt-8">
+        <button
+          onClick={onBack}
+          className="px-6 py-3 bg-secondary hover:bg-secondary-hover text-on-secondary rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+        >
+          {t('action.back')}
+        </button>
+        <button
+          onClick={() => onPlay(settings)}
+          disabled={!isValid}
+          className="px-6 py-3 bg-primary hover:bg-primary-hover disabled:bg-raised disabled:cursor-not-allowed text-on-primary rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+        >
+          {t('custom.play')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CustomGameScreen;
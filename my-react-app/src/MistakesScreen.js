@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import RoundReview from './RoundReview';
+import { getTileContentProvider } from './tileContent';
+import { useI18n } from './i18n';
+
+const navButtonClasses = 'px-4 py-2 bg-raised hover:bg-raised-hover disabled:opacity-40 disabled:cursor-not-allowed text-content rounded-lg font-semibold transition-all duration-200 ease-in-out focus:outline-none focus-visible:ring-4 focus-visible:ring-focus';
+
+// Heading for one mistake; entries keep the round's details rather than text, so they read
+// in whatever language is picked when the list is opened
+const describeMistake = (mistake, t) => (mistake.daily
+  ? t('mistakes.dailyLabel', { date: mistake.daily, board: mistake.boardNumber })
+  : t('mistakes.label', {
+    difficulty: t(`difficulty.${mistake.difficulty}`),
+    board: mistake.boardNumber,
+    changeType: t(`changeType.${mistake.changeType}`),
+  }));
+
+// The rounds of this session that went wrong, one review at a time, newest last
+const MistakesScreen = ({ mistakes, onBack }) => {
+  const t = useI18n();
+  const [index, setIndex] = useState(0);
+  const mistake = mistakes[Math.min(index, mistakes.length - 1)];
+
+  return (
+    <div className="flex flex-col items-center justify-center bg-surface p-10 rounded-xl shadow-2xl border border-line w-full max-w-3xl">
+      <p className="text-3xl font-bold mb-6 text-content">{t('mistakes.title')}</p>
+
+      {mistake ? (
+        <>
+          <div className="flex items-center gap-4 mb-2">
+            <button onClick={() => setIndex(index - 1)} disabled={index === 0} className={navButtonClasses}>
+              {t('mistakes.previous')}
+            </button>
+            <p className="text-lg text-muted" aria-live="polite">
+              {t('mistakes.position', { position: index + 1, total: mistakes.length })}
+            </p>
+            <button onClick={() => setIndex(index + 1)} disabled={index >= mistakes.length - 1} className={navButtonClasses}>
+              {t('mistakes.next')}
+            </button>
+          </div>
+          <p className="mb-6 text-sm text-subtle">{describeMistake(mistake, t)}</p>
+          <RoundReview review={mistake.review} tileContent={getTileContentProvider(mistake.contentId)} />
+        </>
+      ) : (
+        <p className="text-subtle">{t('mistakes.none')}</p>
+      )}
+
+      <button
+        onClick={onBack}
+        className="mt-8 px-6 py-3 bg-secondary hover:bg-secondary-hover text-on-secondary rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+      >
+        {t('action.back')}
+      </button>
+    </div>
+  );
+};
+
+export default MistakesScreen;
@@ -0,0 +1,89 @@
+import React, { useEffect, useRef } from 'react';
+
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Modal dialog: message, optional score breakdown and action buttons.
+// Focus moves into the dialog when it opens, Tab/Shift+Tab stay inside it, Escape calls
+// `onClose`, and focus returns to where it was once the dialog closes.
+const Modal = ({ isOpen, message, details, actions, onClose }) => {
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const previouslyFocused = document.activeElement;
+    const firstFocusable = dialogRef.current?.querySelector(FOCUSABLE_SELECTOR);
+    (firstFocusable || dialogRef.current)?.focus();
+    return () => {
+      // Give focus back unless the page moved it somewhere else meanwhile
+      if (previouslyFocused && document.contains(previouslyFocused) && previouslyFocused.focus) {
+        previouslyFocused.focus();
+      }
+    };
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      onClose();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+
+    // Focus trap: wrap around at either end of the dialog's focusable elements
+    const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR));
+    if (focusable.length === 0) {
+      event.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="modal-message"
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        className="bg-surface p-8 rounded-xl shadow-2xl text-content text-center border border-line focus:outline-none"
+      >
+        <p id="modal-message" className="text-3xl font-bold mb-6">{message}</p>
+        {details.length > 0 && (
+          <dl className="grid grid-cols-2 gap-x-8 gap-y-1 mb-6 text-lg text-start">
+            {details.map(({ label, value }) => (
+              <React.Fragment key={label}>
+                <dt className="text-subtle">{label}</dt>
+                <dd className="text-end font-semibold text-highlight">{value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+        <div className="flex justify-center gap-4">
+          {actions.map((action, index) => (
+            <button
+              key={index}
+              onClick={action.onClick}
+              className="px-6 py-3 bg-secondary hover:bg-secondary-hover text-on-secondary rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1 focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+            >
+              {action.text}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Modal;
@@ -0,0 +1,31 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import Modal from './Modal';
+
+const actions = [
+  { text: 'Home', onClick: () => {} },
+  { text: 'Next Round', onClick: () => {} },
+];
+
+test('renders nothing while closed', () => {
+  render(<Modal isOpen={false} message="Hi" details={[]} actions={actions} onClose={() => {}} />);
+  expect(screen.queryByRole('dialog')).toBeNull();
+});
+
+test('moves focus into the dialog and keeps Tab inside it', () => {
+  render(<Modal isOpen message="Round Complete!" details={[]} actions={actions} onClose={() => {}} />);
+  const dialog = screen.getByRole('dialog', { name: 'Round Complete!' });
+  expect(screen.getByText('Home')).toHaveFocus();
+
+  screen.getByText('Next Round').focus();
+  fireEvent.keyDown(dialog, { key: 'Tab' });
+  expect(screen.getByText('Home')).toHaveFocus();
+  fireEvent.keyDown(dialog, { key: 'Tab', shiftKey: true });
+  expect(screen.getByText('Next Round')).toHaveFocus();
+});
+
+test('Escape closes the dialog', () => {
+  const onClose = jest.fn();
+  render(<Modal isOpen message="Game Over!" details={[]} actions={actions} onClose={onClose} />);
+  fireEvent.keyDown(screen.getByRole('dialog'), { key: 'Escape' });
+  expect(onClose).toHaveBeenCalledTimes(1);
+});
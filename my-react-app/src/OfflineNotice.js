@@ -0,0 +1,25 @@
+import React from 'react';
+import { useI18n } from './i18n';
+
+// Banner shown when the offline service worker couldn't be registered: the game still works,
+// but only with a connection. `onDismiss` hides it until the next visit.
+const OfflineNotice = ({ onDismiss }) => {
+  const t = useI18n();
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 inset-x-4 mx-auto max-w-xl flex flex-wrap items-center justify-center gap-4 bg-surface text-content p-4 rounded-xl shadow-2xl border border-line-strong z-40"
+    >
+      <p className="text-lg font-semibold">{t('offline.unavailable')}</p>
+      <button
+        onClick={onDismiss}
+        className="px-5 py-2 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold transition-all duration-200 ease-in-out shadow-md focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+      >
+        {t('offline.dismiss')}
+      </button>
+    </div>
+  );
+};
+
+export default OfflineNotice;
@@ -0,0 +1,90 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCheck, faCircleExclamation, faXmark } from '@fortawesome/free-solid-svg-icons';
+import { describeReviewChange } from './review';
+import { useI18n } from './i18n';
+
+// Small read-only board. `marks` maps a tile index to { classes, label, icon }.
+const ReviewBoard = ({ title, values, size, marks, tileContent }) => {
+  const t = useI18n();
+  const dimension = Math.max(3, Math.ceil(Math.sqrt(size)));
+  return (
+    <figure className="flex flex-col items-center w-full">
+      <figcaption className="mb-2 font-semibold text-muted">{title}</figcaption>
+      <ul
+        aria-label={title}
+        style={{ gridTemplateColumns: `repeat(${dimension}, minmax(0, 1fr))` }}
+        className="grid gap-1 p-2 rounded-lg bg-sunken w-full max-w-xs aspect-square"
+      >
+        {Array.from({ length: size }, (_, i) => {
+          const value = values[i];
+          if (value === undefined) {
+            // Empty slot left by a 'remove' round
+            return <li key={i} aria-label={t('board.empty')} className="rounded-md border-2 border-dashed border-line" />;
+          }
+          const mark = marks[i];
+          const name = tileContent.describe(value, t);
+          return (
+            <li
+              key={i}
+              aria-label={mark ? t('board.tileStatus', { tile: name, status: mark.label }) : name}
+              className={`relative flex items-center justify-center rounded-md font-bold text-sm border-2 ${mark ? mark.classes : 'bg-tile text-subtle border-line'}`}
+            >
+              {tileContent.renderTile(value, t)}
+              {mark?.icon && <FontAwesomeIcon icon={mark.icon} className="absolute top-0.5 end-0.5 text-xs" />}
+            </li>
+          );
+        })}
+      </ul>
+    </figure>
+  );
+};
+
+// Post-round review: the board as memorized next to the recall board, with every change
+// spelled out and the player's picks marked on the recall board
+const RoundReview = ({ review, tileContent }) => {
+  const t = useI18n();
+  const describe = (value) => tileContent.describe(value, t);
+  const originalMarks = {};
+  const recallMarks = {};
+  review.changes.forEach(change => {
+    originalMarks[change.originalIndex] = { classes: 'bg-tile text-highlight border-tile-missed', label: t('tile.changed') };
+    recallMarks[change.recallIndex] = change.found
+      ? { classes: 'bg-tile-found text-on-tile-found border-tile-found', label: t('tile.found'), icon: faCheck }
+      : { classes: 'bg-tile-missed text-on-tile-missed border-tile-missed', label: t('tile.missed'), icon: faCircleExclamation };
+  });
+  review.wrongPicks.forEach(pick => {
+    recallMarks[pick.recallIndex] = { classes: 'bg-tile-wrong text-on-tile-wrong border-tile-wrong', label: t('tile.wrongPick'), icon: faXmark };
+  });
+
+  return (
+    <section aria-label={t('review.title')} className="flex flex-col items-center w-full max-w-2xl">
+      <div className="flex gap-4 w-full">
+        <ReviewBoard title={t('review.original')} values={review.originalNumbers} size={review.originalNumbers.length} marks={originalMarks} tileContent={tileContent} />
+        <ReviewBoard title={t('review.recall')} values={review.recallNumbers} size={review.originalNumbers.length} marks={recallMarks} tileContent={tileContent} />
+      </div>
+      <ul className="mt-4 space-y-1 text-muted">
+        {review.changes.map(change => (
+          <li key={change.recallIndex}>
+            <FontAwesomeIcon
+              icon={change.found ? faCheck : faCircleExclamation}
+              className={`me-2 ${change.found ? 'text-tile-found' : 'text-tile-missed'}`}
+            />
+            {t(change.found ? 'review.found' : 'review.missed', {
+              change: describeReviewChange(review.changeType, change, describe, t),
+            })}
+          </li>
+        ))}
+        {review.wrongPicks.map(pick => (
+          <li key={`pick-${pick.recallIndex}`}>
+            <FontAwesomeIcon icon={faXmark} className="me-2 text-tile-wrong" />
+            {t('review.wrongPick', { tile: describe(pick.value) })}
+          </li>
+        ))}
+        {review.selectedIndices.length === 0 && <li className="text-subtle">{t('review.noPick')}</li>}
+      </ul>
+    </section>
+  );
+};
+
+export default RoundReview;
@@ -0,0 +1,155 @@
+import React from 'react';
+import { CHANGE_COUNT_OPTIONS, CHANGE_TYPE_OPTIONS, LIVES_OPTIONS } from './game';
+import { TILE_CONTENT_PROVIDERS } from './tileContent';
+import { useI18n, LOCALES } from './i18n';
+import { SYSTEM_THEME, THEME_OPTIONS } from './themes';
+
+const optionClasses = (isActive) =>
+  `px-6 py-3 ${isActive ? 'bg-accent text-on-accent' : 'bg-raised hover:bg-raised-hover text-content'} rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1`;
+
+// Result colors of a theme (found, missed, wrong pick), drawn with that theme's own tokens
+const ThemeSwatch = ({ theme }) => (
+  <span data-theme={theme} className="flex gap-1 mb-1" aria-hidden="true">
+    {['bg-tile-found', 'bg-tile-missed', 'bg-tile-wrong'].map(color => (
+      <span key={color} className={`w-4 h-4 rounded-full border border-line-strong ${color}`} />
+    ))}
+  </span>
+);
+
+// Settings screen: how new games build their boards, plus sound, theme and language. `onChange`
+// and `onSoundChange` receive the changed fields only; `onThemeChange` and `onLocaleChange` the
+// picked theme option and locale.
+const SettingsScreen = ({
+  settings,
+  soundSettings,
+  themePreference,
+  locale,
+  onChange,
+  onSoundChange,
+  onThemeChange,
+  onLocaleChange,
+  onDone,
+}) => {
+  const t = useI18n();
+
+  return (
+    <div className="flex flex-col items-center justify-center bg-surface p-10 rounded-xl shadow-2xl border border-line">
+      <p className="text-xl mb-4 text-center text-muted">
+        {t('settings.tiles')}
+      </p>
+      <div className="flex flex-wrap justify-center gap-4 mb-8">
+        {Object.values(TILE_CONTENT_PROVIDERS).map(provider => (
+          <button
+            key={provider.id}
+            onClick={() => onChange({ contentId: provider.id })}
+            className={`flex flex-col items-center ${optionClasses(settings.contentId === provider.id)}`}
+          >
+            <span className="flex items-center justify-center gap-2 h-10 mb-1 text-2xl">
+              {/* Preview the first few values of the set */}
+              {provider.values.slice(0, 3).map(value => (
+                <span key={value} className="flex items-center justify-center w-10 h-10">{provider.renderTile(value, t)}</span>
+              ))}
+            </span>
+            {t(`tileSet.${provider.id}`)}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xl mb-4 text-center text-muted">
+        {t('settings.changeType')}
+      </p>
+      <div className="flex flex-wrap justify-center gap-4 mb-8">
+        {CHANGE_TYPE_OPTIONS.map(option => (
+          <button key={option} onClick={() => onChange({ changeType: option })} className={optionClasses(settings.changeType === option)}>
+            {t(`changeType.${option}`)}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xl mb-4 text-center text-muted">
+        {settings.changeType === 'swap' || settings.changeType === 'remove' ? t('settings.changeCountUnused') : t('settings.changeCount')}
+      </p>
+      <div className="flex gap-4 mb-8">
+        {CHANGE_COUNT_OPTIONS.map(option => (
+          <button key={option} onClick={() => onChange({ changeCount: option })} className={optionClasses(settings.changeCount === option)}>
+            {option === 'auto' ? t('settings.byDifficulty') : t.formatNumber(option)}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xl mb-4 text-center text-muted">
+        {t('settings.lives')}
+      </p>
+      <div className="flex gap-4 mb-8">
+        {LIVES_OPTIONS.map(option => (
+          <button key={option} onClick={() => onChange({ lives: option })} className={optionClasses(settings.lives === option)}>
+            {option === 1 ? t('settings.suddenDeath', { count: option }) : t.formatNumber(option)}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xl mb-4 text-center text-muted">
+        {t('settings.sound')}
+      </p>
+      <div className="flex items-center gap-6 mb-8">
+        <button
+          onClick={() => onSoundChange({ muted: !soundSettings.muted })}
+          aria-pressed={soundSettings.muted}
+          className={optionClasses(soundSettings.muted)}
+        >
+          {soundSettings.muted ? t('settings.muted') : t('settings.mute')}
+        </button>
+        <label className="flex items-center gap-3 text-muted">
+          {t('settings.volume')}
+          <input
+            type="range"
+            min="0"
+            max="100"
+            step="10"
+            value={Math.round(soundSettings.volume * 100)}
+            onChange={event => onSoundChange({ volume: Number(event.target.value) / 100 })}
+            disabled={soundSettings.muted}
+            className="w-40 accent-accent disabled:opacity-40"
+          />
+        </label>
+      </div>
+
+      <p className="text-xl mb-4 text-center text-muted">
+        {t('settings.theme')}
+      </p>
+      <div className="flex flex-wrap justify-center gap-4 mb-8">
+        {THEME_OPTIONS.map(option => (
+          <button
+            key={option}
+            onClick={() => onThemeChange(option)}
+            aria-pressed={themePreference === option}
+            className={`flex flex-col items-center ${optionClasses(themePreference === option)}`}
+          >
+            {option !== SYSTEM_THEME && <ThemeSwatch theme={option} />}
+            {t(`theme.${option}`)}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xl mb-4 text-center text-muted">
+        {t('settings.language')}
+      </p>
+      <div className="flex gap-4 mb-8">
+        {Object.entries(LOCALES).map(([id, { label }]) => (
+          <button key={id} lang={id} onClick={() => onLocaleChange(id)} aria-pressed={locale === id} className={optionClasses(locale === id)}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <button
+        onClick={onDone}
+        className="px-8 py-4 bg-primary hover:bg-primary-hover text-on-primary rounded-lg font-bold text-2xl transition-all duration-300 ease-in-out shadow-lg hover:shadow-xl transform hover:-scale-105"
+      >
+        {t('action.done')}
+      </button>
+    </div>
+  );
+};
+
+export default SettingsScreen;
@@ -0,0 +1,155 @@
+import React from 'react';
+import { DIFFICULTIES } from './stats';
+import { ADAPTIVE_LEVELS } from './adaptive';
+import { useI18n } from './i18n';
+
+// Format helpers for the stats tables, in the current language
+const formatPercent = (value, t) => (value === null ? '–' : t.formatNumber(value, { style: 'percent' }));
+const formatSeconds = (ms, t) => (ms === null
+  ? '–'
+  : t('unit.seconds', { value: t.formatNumber(ms / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) }));
+const formatDate = (timestamp, t) => new Date(timestamp).toLocaleString(t.locale);
+
+// How each game outcome reads in the recent games table (see recordGame)
+const OUTCOME_LABELS = { win: 'stats.won', loss: 'stats.lost', complete: 'stats.completed' };
+const OUTCOME_CLASSES = { win: 'text-success', loss: 'text-danger', complete: 'text-muted' };
+
+// Stats screen: per-difficulty accuracy, records and the most recent games
+const StatsScreen = ({ summary, onBack, onReset }) => {
+  const t = useI18n();
+
+  return (
+    <div className="flex flex-col items-center justify-center bg-surface p-10 rounded-xl shadow-2xl border border-line w-full max-w-2xl">
+      <p className="text-3xl font-bold mb-6 text-content">{t('stats.title')}</p>
+
+      <div className="flex gap-8 mb-8 text-center">
+        <div>
+          <p className="text-sm text-subtle">{t('stats.bestScore')}</p>
+          <p className="text-3xl font-semibold text-highlight">{t.formatNumber(summary.bestScore)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-subtle">{t('stats.bestStreak')}</p>
+          <p className="text-3xl font-semibold text-highlight">{t.formatNumber(summary.bestStreak)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-subtle">{t('stats.gamesPlayed')}</p>
+          <p className="text-3xl font-semibold text-highlight">{t.formatNumber(summary.gamesPlayed)}</p>
+        </div>
+      </div>
+
+      <table className="w-full mb-8 text-start text-muted">
+        <thead>
+          <tr className="text-subtle border-b border-line">
+            <th className="py-2">{t('stats.difficulty')}</th>
+            <th className="py-2">{t('stats.rounds')}</th>
+            <th className="py-2">{t('stats.accuracy')}</th>
+            <th className="py-2">{t('stats.averageAnswer')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {DIFFICULTIES.map(difficulty => {
+            const row = summary.byDifficulty[difficulty];
+            return (
+              <tr key={difficulty} className="border-b border-line">
+                <td className="py-2">{t(`difficulty.${difficulty}`)}</td>
+                <td className="py-2">{t.formatNumber(row.played)}</td>
+                <td className="py-2">{formatPercent(row.accuracy, t)}</td>
+                <td className="py-2">{formatSeconds(row.averageResponseMs, t)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <p className="text-xl font-semibold mb-2 self-start text-content">{t('stats.recentGames')}</p>
+      {summary.recentGames.length === 0 ? (
+        <p className="mb-8 text-subtle">{t('stats.noGames')}</p>
+      ) : (
+        <table className="w-full mb-8 text-start text-muted">
+          <thead>
+            <tr className="text-subtle border-b border-line">
+              <th className="py-2">{t('stats.date')}</th>
+              <th className="py-2">{t('stats.difficulty')}</th>
+              <th className="py-2">{t('stats.rounds')}</th>
+              <th className="py-2">{t('stats.result')}</th>
+              <th className="py-2">{t('stats.score')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.recentGames.map(game => (
+              <tr key={game.playedAt} className="border-b border-line">
+                <td className="py-2">{formatDate(game.playedAt, t)}</td>
+                <td className="py-2">{game.daily ? t('stats.daily') : t(`difficulty.${game.difficulty}`)}</td>
+                <td className="py-2">{t.formatNumber(game.rounds)}</td>
+                <td className={`py-2 ${OUTCOME_CLASSES[game.outcome] ?? 'text-danger'}`}>
+                  {t(OUTCOME_LABELS[game.outcome] ?? 'stats.lost')}
+                </td>
+                <td className="py-2">{t.formatNumber(game.finalScore)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <p className="text-xl font-semibold mb-2 self-start text-content">
+        {summary.adaptiveLevel === null
+          ? t('stats.adaptiveLevel')
+          : t('stats.adaptiveLevelValue', { level: summary.adaptiveLevel, max: ADAPTIVE_LEVELS.length })}
+      </p>
+      {summary.recentLevelChanges.length === 0 ? (
+        <p className="mb-8 text-subtle">{t('stats.noLevelChanges')}</p>
+      ) : (
+        <table className="w-full mb-8 text-start text-muted">
+          <thead>
+            <tr className="text-subtle border-b border-line">
+              <th className="py-2">{t('stats.date')}</th>
+              <th className="py-2">{t('stats.level')}</th>
+              <th className="py-2">{t('stats.why')}</th>
+              <th className="py-2">{t('stats.newBoard')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.recentLevelChanges.map(change => (
+              <tr key={change.playedAt} className="border-b border-line">
+                <td className="py-2">{formatDate(change.playedAt, t)}</td>
+                <td className={`py-2 ${change.to > change.from ? 'text-success' : 'text-danger'}`}>
+                  {t.formatNumber(change.from)} → {t.formatNumber(change.to)}
+                </td>
+                <td className="py-2">{t(`stats.reason.${change.reason}`)}</td>
+                <td className="py-2">{t('stats.boardDetails', { tiles: change.numTiles, seconds: formatSeconds(change.memorizeMs, t) })}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <p className="text-xl font-semibold mb-2 self-start text-content">{t('stats.practice')}</p>
+      <p className="mb-8 self-start text-muted">
+        {summary.practice.played === 0
+          ? t('stats.noPractice')
+          : t('stats.practiceSummary', {
+            count: summary.practice.played,
+            accuracy: formatPercent(summary.practice.accuracy, t),
+            seconds: formatSeconds(summary.practice.averageStudyMs, t),
+          })}
+      </p>
+
+      <div className="flex gap-4">
+        <button
+          onClick={onBack}
+          className="px-6 py-3 bg-secondary hover:bg-secondary-hover text-on-secondary rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+        >
+          {t('action.home')}
+        </button>
+        <button
+          onClick={onReset}
+          className="px-6 py-3 bg-danger-fill hover:bg-danger-fill-hover text-on-danger rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+        >
+          {t('stats.reset')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StatsScreen;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { useI18n } from './i18n';
+
+// Banner shown when a new version of the game has been downloaded. Reloading is left to the
+// player so a round in progress is never cut short; `onLater` hides the banner until the next visit.
+const UpdatePrompt = ({ onReload, onLater }) => {
+  const t = useI18n();
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 inset-x-4 mx-auto max-w-xl flex flex-wrap items-center justify-center gap-4 bg-surface text-content p-4 rounded-xl shadow-2xl border border-line-strong z-40"
+    >
+      <p className="text-lg font-semibold">{t('update.available')}</p>
+      <div className="flex gap-3">
+        <button
+          onClick={onReload}
+          className="px-5 py-2 bg-primary hover:bg-primary-hover text-on-primary rounded-lg font-semibold transition-all duration-200 ease-in-out shadow-md focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+        >
+          {t('update.reload')}
+        </button>
+        <button
+          onClick={onLater}
+          className="px-5 py-2 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold transition-all duration-200 ease-in-out shadow-md focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+        >
+          {t('update.later')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
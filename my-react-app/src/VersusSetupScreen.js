@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { TILE_COUNT_OPTIONS } from './game';
+import { validatePlayerNames, VERSUS_RULES } from './versus';
+import { useI18n } from './i18n';
+
+const optionClasses = (isActive) =>
+  `px-4 py-2 ${isActive ? 'bg-accent text-on-accent' : 'bg-raised hover:bg-raised-hover text-content'} rounded-lg font-semibold transition-all duration-200 ease-in-out shadow-md`;
+
+// Versus setup: player names, and the difficulty, board size and game length everyone plays.
+// `onStart` receives { names, difficulty, numTiles, turnsPerPlayer }.
+const VersusSetupScreen = ({ initialSetup, onStart, onBack }) => {
+  const t = useI18n();
+  const [names, setNames] = useState(initialSetup.names);
+  const [difficulty, setDifficulty] = useState(initialSetup.difficulty);
+  const [numTiles, setNumTiles] = useState(initialSetup.numTiles);
+  const [turnsPerPlayer, setTurnsPerPlayer] = useState(initialSetup.turnsPerPlayer);
+  const [error, setError] = useState(null);
+
+  const handleDifficultyChange = (nextDifficulty) => {
+    setDifficulty(nextDifficulty);
+    setNumTiles(TILE_COUNT_OPTIONS[nextDifficulty][0]); // Tile counts differ per difficulty
+  };
+
+  const handleStart = () => {
+    const problem = validatePlayerNames(names, VERSUS_RULES, t);
+    setError(problem);
+    if (!problem) {
+      onStart({ names: names.map(name => name.trim()), difficulty, numTiles, turnsPerPlayer });
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center bg-surface p-10 rounded-xl shadow-2xl border border-line w-full max-w-xl">
+      <p className="text-3xl font-bold mb-6 text-content">{t('versus.title')}</p>
+
+      <p className="text-xl mb-4 text-center text-muted">{t('versus.players')}</p>
+      <div className="flex flex-col gap-2 mb-4 w-full">
+        {names.map((name, index) => (
+          <div key={index} className="flex gap-2">
+            <input
+              value={name}
+              onChange={event => setNames(names.map((current, i) => (i === index ? event.target.value : current)))}
+              maxLength={VERSUS_RULES.maxNameLength}
+              aria-label={t('versus.playerName', { number: index + 1 })}
+              placeholder={t('versus.playerPlaceholder', { number: index + 1 })}
+              className="flex-1 px-4 py-2 rounded-lg bg-sunken text-content border border-line-strong focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+            />
+            {names.length > VERSUS_RULES.minPlayers && (
+              <button
+                onClick={() => setNames(names.filter((_, i) => i !== index))}
+                aria-label={t('versus.removePlayer', { number: index + 1 })}
+                className="px-3 py-2 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      {names.length < VERSUS_RULES.maxPlayers && (
+        <button
+          onClick={() => setNames([...names, ''])}
+          className="mb-8 px-4 py-2 bg-raised hover:bg-raised-hover text-content rounded-lg font-semibold"
+        >
+          {t('versus.addPlayer')}
+        </button>
+      )}
+
+      <p className="text-xl mb-4 text-center text-muted">{t('versus.difficultyAndTiles')}</p>
+      <div className="flex gap-2 mb-4">
+        {Object.keys(TILE_COUNT_OPTIONS).map(option => (
+          <button key={option} onClick={() => handleDifficultyChange(option)} className={optionClasses(difficulty === option)}>
+            {t(`difficulty.${option}`)}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2 mb-8">
+        {TILE_COUNT_OPTIONS[difficulty].map(count => (
+          <button key={count} onClick={() => setNumTiles(count)} className={optionClasses(numTiles === count)}>
+            {t.formatNumber(count)}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xl mb-4 text-center text-muted">{t('versus.turnsPerPlayer')}</p>
+      <div className="flex gap-2 mb-8">
+        {VERSUS_RULES.turnOptions.map(option => (
+          <button key={option} onClick={() => setTurnsPerPlayer(option)} className={optionClasses(turnsPerPlayer === option)}>
+            {t.formatNumber(option)}
+          </button>
+        ))}
+      </div>
+
+      {error && <p role="alert" className="mb-4 text-danger">{error}</p>}
+
+      <div className="flex gap-4">
+        <button
+          onClick={onBack}
+          className="px-6 py-3 bg-secondary hover:bg-secondary-hover text-on-secondary rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+        >
+          {t('action.home')}
+        </button>
+        <button
+          onClick={handleStart}
+          className="px-6 py-3 bg-primary hover:bg-primary-hover text-on-primary rounded-lg font-semibold text-lg transition-all duration-200 ease-in-out shadow-md hover:shadow-xl transform hover:-translate-y-1"
+        >
+          {t('versus.start')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VersusSetupScreen;
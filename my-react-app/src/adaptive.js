@@ -0,0 +1,72 @@
+// Adaptive difficulty.
+// Instead of a fixed difficulty, an adaptive game climbs or drops through ADAPTIVE_LEVELS
+// round by round. The controller is a transformed up-down staircase: one miss steps down,
+// and a run of correct answers steps up. The run length is picked so the player settles at
+// the target success rate, and quick answers count for more towards it than slow ones.
+
+export const ADAPTIVE_DIFFICULTY = 'adaptive';
+
+// Easiest first. Each level says how big the board is, how long it is shown and which
+// difficulty it counts as for scoring and stats.
+export const ADAPTIVE_LEVELS = [
+  { numTiles: 4, memorizeMs: 6000, difficulty: 'easy' },
+  { numTiles: 5, memorizeMs: 6000, difficulty: 'easy' },
+  { numTiles: 6, memorizeMs: 6000, difficulty: 'easy' },
+  { numTiles: 6, memorizeMs: 4500, difficulty: 'easy' },
+  { numTiles: 8, memorizeMs: 7000, difficulty: 'medium' },
+  { numTiles: 9, memorizeMs: 7000, difficulty: 'medium' },
+  { numTiles: 10, memorizeMs: 6500, difficulty: 'medium' },
+  { numTiles: 12, memorizeMs: 6500, difficulty: 'medium' },
+  { numTiles: 12, memorizeMs: 5500, difficulty: 'hard' },
+  { numTiles: 14, memorizeMs: 6000, difficulty: 'hard' },
+  { numTiles: 16, memorizeMs: 6000, difficulty: 'hard' },
+  { numTiles: 16, memorizeMs: 4500, difficulty: 'hard' },
+];
+
+export const ADAPTIVE_RULES = {
+  targetSuccessRate: 0.8,
+  fastResponseMs: 3000, // Correct answers quicker than this count 1.5 towards a level up...
+  slowResponseMs: 10000, // ...and ones slower than this only 0.5
+  startLevel: 1, // For players who have never played adaptive
+};
+
+// Levels are numbered from 1 for display and in the log
+export const clampLevel = (level) => Math.min(ADAPTIVE_LEVELS.length, Math.max(1, Math.round(level)));
+
+export const getAdaptiveLevel = (level) => ADAPTIVE_LEVELS[clampLevel(level) - 1];
+
+// Correct answers in a row needed to step up. Stepping up after n successes and down after
+// one miss balances out where successRate^n = 0.5, so n = log(0.5) / log(target).
+export const getSuccessesToLevelUp = (rules = ADAPTIVE_RULES) =>
+  Math.max(1, Math.round(Math.log(0.5) / Math.log(rules.targetSuccessRate)));
+
+// How much one correct answer counts towards the next level up
+export const getRoundCredit = (responseTimeMs, rules = ADAPTIVE_RULES) => {
+  if (responseTimeMs < rules.fastResponseMs) return 1.5;
+  if (responseTimeMs > rules.slowResponseMs) return 0.5;
+  return 1;
+};
+
+export const createAdaptiveState = (level = ADAPTIVE_RULES.startLevel) => ({ level: clampLevel(level), credit: 0 });
+
+// Feed one round result to the controller. Returns the new state and, when the level moved,
+// a `change` ({ from, to, reason }) to show and log; `change` is null otherwise. The reason
+// ('miss' or 'streak') is worded by the message catalog (`stats.reason.<reason>`).
+export const nextAdaptiveState = (state, { correct, responseTimeMs }, rules = ADAPTIVE_RULES) => {
+  if (!correct) {
+    const to = clampLevel(state.level - 1);
+    return {
+      state: { level: to, credit: 0 },
+      change: to !== state.level ? { from: state.level, to, reason: 'miss' } : null,
+    };
+  }
+  const credit = state.credit + getRoundCredit(responseTimeMs, rules);
+  if (credit < getSuccessesToLevelUp(rules)) {
+    return { state: { ...state, credit }, change: null };
+  }
+  const to = clampLevel(state.level + 1);
+  return {
+    state: { level: to, credit: 0 },
+    change: to !== state.level ? { from: state.level, to, reason: 'streak' } : null,
+  };
+};
@@ -0,0 +1,59 @@
+import {
+  createAdaptiveState,
+  getAdaptiveLevel,
+  getRoundCredit,
+  getSuccessesToLevelUp,
+  nextAdaptiveState,
+  ADAPTIVE_LEVELS,
+  ADAPTIVE_RULES,
+} from './adaptive';
+
+const play = (state, results) => results.reduce(
+  ({ state: current, changes }, result) => {
+    const next = nextAdaptiveState(current, result);
+    return { state: next.state, changes: next.change ? [...changes, next.change] : changes };
+  },
+  { state, changes: [] },
+);
+
+const correct = { correct: true, responseTimeMs: 5000 };
+const miss = { correct: false, responseTimeMs: 5000 };
+
+test('levels get harder as they go up', () => {
+  ADAPTIVE_LEVELS.slice(1).forEach((level, index) => {
+    const previous = ADAPTIVE_LEVELS[index];
+    expect(level.numTiles > previous.numTiles || level.memorizeMs < previous.memorizeMs).toBe(true);
+  });
+  expect(getAdaptiveLevel(0)).toBe(ADAPTIVE_LEVELS[0]);
+  expect(getAdaptiveLevel(99)).toBe(ADAPTIVE_LEVELS[ADAPTIVE_LEVELS.length - 1]);
+});
+
+test('the run length matches the target success rate', () => {
+  expect(getSuccessesToLevelUp(ADAPTIVE_RULES)).toBe(3); // 0.8^3 ≈ 0.5
+  expect(getSuccessesToLevelUp({ ...ADAPTIVE_RULES, targetSuccessRate: 0.5 })).toBe(1);
+});
+
+test('steps up after a run of correct answers and down after a miss', () => {
+  const { state, changes } = play(createAdaptiveState(3), [correct, correct, correct, correct, miss]);
+  expect(changes).toEqual([
+    { from: 3, to: 4, reason: 'streak' },
+    { from: 4, to: 3, reason: 'miss' },
+  ]);
+  expect(state).toEqual({ level: 3, credit: 0 });
+});
+
+test('fast answers level up sooner and slow ones later', () => {
+  const fast = { correct: true, responseTimeMs: 1000 };
+  const slow = { correct: true, responseTimeMs: 20000 };
+  expect(getRoundCredit(1000)).toBe(1.5);
+  expect(play(createAdaptiveState(1), [fast, fast]).state.level).toBe(2);
+  expect(play(createAdaptiveState(1), [slow, slow, slow, slow, slow]).state.level).toBe(1);
+});
+
+test('stays within the level range without logging a change', () => {
+  expect(play(createAdaptiveState(1), [miss]).changes).toEqual([]);
+  const top = ADAPTIVE_LEVELS.length;
+  const { state, changes } = play(createAdaptiveState(top), [correct, correct, correct]);
+  expect(state.level).toBe(top);
+  expect(changes).toEqual([]);
+});
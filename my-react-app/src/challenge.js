@@ -0,0 +1,119 @@
+import { createRng, randomInt } from './random';
+import { CHANGE_TYPE_OPTIONS, MAX_CHANGED_TILES, TILE_COUNT_OPTIONS } from './game';
+import { DEFAULT_TILE_CONTENT, TILE_CONTENT_PROVIDERS } from './tileContent';
+import { clampLevel, getSuccessesToLevelUp, ADAPTIVE_DIFFICULTY } from './adaptive';
+import { DEFAULT_PLAY_MODE, PLAY_MODES } from './playModes';
+
+// Daily Challenge and share-seed links.
+// A game is fully described by its seed plus its settings, so anyone opening the same
+// link (or playing on the same day) gets the same sequence of boards.
+
+export const DAILY_CHALLENGE_ROUNDS = 5;
+const DAILY_CHALLENGE_DIFFICULTY = 'medium';
+
+// Local calendar date as YYYY-MM-DD, used as the daily key
+export const getDailyKey = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Build the fixed round list for a given day
+export const buildDailyChallenge = (dailyKey) => {
+  const seed = `daily-${dailyKey}`;
+  const rng = createRng(`${seed}:rounds`);
+  const options = TILE_COUNT_OPTIONS[DAILY_CHALLENGE_DIFFICULTY];
+  const rounds = Array.from({ length: DAILY_CHALLENGE_ROUNDS }, () => options[randomInt(rng, options.length)])
+    .sort((a, b) => a - b); // Boards get bigger as the challenge goes on
+
+  return { dailyKey, seed, difficulty: DAILY_CHALLENGE_DIFFICULTY, rounds };
+};
+
+// Tile count for the Nth board of a daily challenge
+export const getDailyRoundTiles = (challenge, boardIndex) => challenge.rounds[boardIndex];
+
+// The challenge ends with its last board, whether or not the score reached the goal
+export const isLastDailyBoard = (challenge, boardIndex) => boardIndex >= challenge.rounds.length - 1;
+
+// Seed for the Nth board of a game, so boards don't depend on how many random draws came before
+export const getRoundSeed = (seed, boardIndex) => `${seed}:${boardIndex}`;
+
+// Paths for a play setup and for a day's challenge
+export const buildPlayPath = (difficulty, numTiles) => `/play/${difficulty}/${numTiles}`;
+export const buildDailyPath = (dailyKey) => `/daily?date=${dailyKey}`;
+export const ADAPTIVE_PATH = `/play/${ADAPTIVE_DIFFICULTY}`;
+
+// Validate the :difficulty and :tiles route params; returns null for setups the game doesn't offer
+export const parsePlaySetup = (difficulty, tiles) => {
+  const numTiles = Number(tiles);
+  if (!TILE_COUNT_OPTIONS[difficulty] || !TILE_COUNT_OPTIONS[difficulty].includes(numTiles)) {
+    return null;
+  }
+  return { difficulty, numTiles };
+};
+
+// Date of a /daily link, or null for today's challenge (missing or invalid date)
+export const parseDailyDate = (search) => {
+  const dailyKey = new URLSearchParams(search).get('date');
+  return dailyKey && /^\d{4}-\d{2}-\d{2}$/.test(dailyKey) ? dailyKey : null;
+};
+
+// Link that replays the current game. Adaptive links also carry the controller state the game
+// started from (`adaptive`), so the opener is dealt the same boards for the same answers.
+export const buildShareUrl = ({ seed, difficulty, numTiles, changeType = 'replace', changeCount = 1, contentId = DEFAULT_TILE_CONTENT, playMode = DEFAULT_PLAY_MODE, adaptive, dailyKey }, origin = window.location.origin) => {
+  if (dailyKey) {
+    return `${origin}${buildDailyPath(dailyKey)}`;
+  }
+  const params = new URLSearchParams();
+  params.set('seed', seed);
+  params.set('change', changeType);
+  params.set('changes', String(changeCount));
+  params.set('tileset', contentId);
+  params.set('mode', playMode);
+  if (difficulty === ADAPTIVE_DIFFICULTY && adaptive) {
+    params.set('level', String(adaptive.level));
+    params.set('credit', String(adaptive.credit));
+  }
+  const path = difficulty === ADAPTIVE_DIFFICULTY ? ADAPTIVE_PATH : buildPlayPath(difficulty, numTiles);
+  return `${origin}${path}?${params.toString()}`;
+};
+
+// Starting controller state of a shared adaptive link; null when the link has none, false when
+// it is invalid
+const parseSharedAdaptiveState = (params) => {
+  if (!params.get('level')) {
+    return null;
+  }
+  const level = Number(params.get('level'));
+  const credit = Number(params.get('credit') || 0);
+  if (!Number.isInteger(level) || clampLevel(level) !== level) {
+    return false;
+  }
+  if (!Number.isFinite(credit) || credit < 0 || credit >= getSuccessesToLevelUp()) {
+    return false;
+  }
+  return { level, credit };
+};
+
+// Read the seed, board rules and (for adaptive links) starting controller state of a shared
+// /play link; returns null when the link has no seed (a plain bookmarked setup) or invalid rules
+export const parseSharedGame = (search) => {
+  const params = new URLSearchParams(search);
+  const seed = params.get('seed');
+  // Older links may lack `change`, `changes`, `tileset` or `mode`; they replay the classic settings
+  const changeType = params.get('change') || 'replace';
+  const changeCount = Number(params.get('changes') || 1);
+  const contentId = params.get('tileset') || DEFAULT_TILE_CONTENT;
+  const playMode = params.get('mode') || DEFAULT_PLAY_MODE;
+  const adaptive = parseSharedAdaptiveState(params);
+  if (!seed || adaptive === false) {
+    return null;
+  }
+  if (!Number.isInteger(changeCount) || changeCount < 1 || changeCount > MAX_CHANGED_TILES) {
+    return null;
+  }
+  if (!TILE_CONTENT_PROVIDERS[contentId] || !CHANGE_TYPE_OPTIONS.includes(changeType) || !PLAY_MODES[playMode]) {
+    return null;
+  }
+  return { seed, rules: { changeType, changeCount, contentId, playMode }, adaptive };
+};
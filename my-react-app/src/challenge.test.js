@@ -0,0 +1,74 @@
+import {
+  buildDailyChallenge,
+  buildShareUrl,
+  getDailyKey,
+  getDailyRoundTiles,
+  isLastDailyBoard,
+  parseDailyDate,
+  parsePlaySetup,
+  parseSharedGame,
+  DAILY_CHALLENGE_ROUNDS,
+} from './challenge';
+import { createAdaptiveState } from './adaptive';
+
+const origin = 'http://localhost:3000';
+
+test('daily key uses the local calendar date', () => {
+  expect(getDailyKey(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05');
+});
+
+test('a daily challenge is the same for everyone on that day', () => {
+  const challenge = buildDailyChallenge('2026-10-19');
+  expect(buildDailyChallenge('2026-10-19')).toEqual(challenge);
+  expect(challenge.rounds).toHaveLength(DAILY_CHALLENGE_ROUNDS);
+  expect(getDailyRoundTiles(challenge, 0)).toBe(challenge.rounds[0]);
+});
+
+test('a daily challenge ends after its last board', () => {
+  const challenge = buildDailyChallenge('2026-10-19');
+  expect(isLastDailyBoard(challenge, DAILY_CHALLENGE_ROUNDS - 2)).toBe(false);
+  expect(isLastDailyBoard(challenge, DAILY_CHALLENGE_ROUNDS - 1)).toBe(true);
+});
+
+test('share links round-trip through the route and query string', () => {
+  const rules = { changeType: 'mix', changeCount: 2, contentId: 'icons', playMode: 'timeAttack' };
+  const url = new URL(buildShareUrl({ seed: 'abc123', difficulty: 'hard', numTiles: 14, ...rules }, origin));
+  expect(url.pathname).toBe('/play/hard/14');
+  expect(parseSharedGame(url.search)).toEqual({ seed: 'abc123', rules, adaptive: null });
+  // Older links without change settings or a tile set replay the classic one-number game
+  expect(parseSharedGame('?seed=abc').rules).toEqual({ changeType: 'replace', changeCount: 1, contentId: 'numbers', playMode: 'classic' });
+
+  const adaptiveUrl = new URL(buildShareUrl({ seed: 'abc123', difficulty: 'adaptive', numTiles: 9, ...rules }, origin));
+  expect(adaptiveUrl.pathname).toBe('/play/adaptive');
+  expect(parseSharedGame(adaptiveUrl.search)).toEqual({ seed: 'abc123', rules, adaptive: null });
+
+  const dailyUrl = new URL(buildShareUrl({ dailyKey: '2026-10-19' }, origin));
+  expect(dailyUrl.pathname).toBe('/daily');
+  expect(parseDailyDate(dailyUrl.search)).toBe('2026-10-19');
+});
+
+test('adaptive share links replay the level the game started from', () => {
+  const rules = { changeType: 'replace', changeCount: 1, contentId: 'numbers', playMode: 'classic' };
+  const game = { seed: 'abc123', difficulty: 'adaptive', numTiles: 8, ...rules, adaptive: createAdaptiveState(5) };
+  const url = new URL(buildShareUrl(game, origin));
+  expect(url.pathname).toBe('/play/adaptive');
+  expect(parseSharedGame(url.search)).toEqual({ seed: 'abc123', rules, adaptive: { level: 5, credit: 0 } });
+
+  expect(parseSharedGame('?seed=abc&level=99')).toBeNull();
+  expect(parseSharedGame('?seed=abc&level=3&credit=-1')).toBeNull();
+});
+
+test('play setups are validated against the offered tile counts', () => {
+  expect(parsePlaySetup('medium', '10')).toEqual({ difficulty: 'medium', numTiles: 10 });
+  expect(parsePlaySetup('hard', '4')).toBeNull();
+  expect(parsePlaySetup('extreme', '10')).toBeNull();
+});
+
+test('invalid share links are ignored', () => {
+  expect(parseSharedGame('')).toBeNull();
+  expect(parseDailyDate('?date=tomorrow')).toBeNull();
+  expect(parseSharedGame('?seed=abc&changes=9')).toBeNull();
+  expect(parseSharedGame('?seed=abc&tileset=emoji')).toBeNull();
+  expect(parseSharedGame('?seed=abc&change=rotate')).toBeNull();
+  expect(parseSharedGame('?seed=abc&mode=zen')).toBeNull();
+});
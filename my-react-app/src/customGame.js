@@ -0,0 +1,115 @@
+import { MAX_CHANGED_TILES, NUMBER_POOL_MAX } from './game';
+import { defaultTranslator } from './i18n';
+import { readStorage, writeStorage } from './storage';
+import { getTileContentProvider, DEFAULT_TILE_CONTENT } from './tileContent';
+
+// Custom games.
+// The player sets the number pool, board size, memorize time and an optional recall time
+// limit themselves. Settings are validated before they are saved or played, and saved
+// settings are validated again on load, so a hand-edited or outdated entry falls back to
+// the defaults instead of breaking the game. The number pool only applies to the Numbers tile
+// set; other tile sets draw from their own values, which limits how big their boards can be.
+
+export const CUSTOM_DIFFICULTY = 'custom';
+
+export const CUSTOM_LIMITS = {
+  minNumber: 1,
+  maxNumber: 999,
+  minTiles: 4,
+  maxTiles: 36,
+  minMemorizeSeconds: 1,
+  maxMemorizeSeconds: 60,
+  minRecallSeconds: 3,
+  maxRecallSeconds: 120,
+};
+
+// Digits that are easy to mix up at a glance; the 'lookalike' pool only uses numbers made of these
+export const LOOKALIKE_DIGITS = '035689';
+
+// Number pool styles; each is named by `custom.poolStyle.<style>` in the message catalog
+export const NUMBER_POOL_STYLES = ['any', 'lookalike'];
+
+export const DEFAULT_CUSTOM_SETTINGS = {
+  poolFrom: 1,
+  poolTo: NUMBER_POOL_MAX,
+  poolStyle: 'any',
+  numTiles: 16,
+  memorizeSeconds: 8,
+  recallLimitSeconds: null, // null: no time limit
+};
+
+// All numbers a custom board can use
+export const buildNumberPool = ({ poolFrom, poolTo, poolStyle }) => {
+  const numbers = [];
+  for (let n = poolFrom; n <= poolTo; n++) {
+    if (poolStyle !== 'lookalike' || [...String(n)].every(digit => LOOKALIKE_DIGITS.includes(digit))) {
+      numbers.push(n);
+    }
+  }
+  return numbers;
+};
+
+// Values a custom board draws from with the given tile set
+export const getCustomBoardValues = (settings, contentId) =>
+  contentId === 'numbers' ? buildNumberPool(settings) : getTileContentProvider(contentId).values;
+
+const isWholeNumberBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Problems with the settings for boards of the `contentId` tile set, keyed by field name and
+// worded by `t`; empty when they can be played
+export const validateCustomSettings = (settings, limits = CUSTOM_LIMITS, t = defaultTranslator, contentId = DEFAULT_TILE_CONTENT) => {
+  const errors = {};
+  if (!isWholeNumberBetween(settings.poolFrom, limits.minNumber, limits.maxNumber)) {
+    errors.poolFrom = t('custom.error.number', { min: limits.minNumber, max: limits.maxNumber });
+  }
+  if (!isWholeNumberBetween(settings.poolTo, limits.minNumber, limits.maxNumber)) {
+    errors.poolTo = t('custom.error.number', { min: limits.minNumber, max: limits.maxNumber });
+  } else if (!errors.poolFrom && settings.poolTo <= settings.poolFrom) {
+    errors.poolTo = t('custom.error.poolOrder');
+  }
+  if (!NUMBER_POOL_STYLES.includes(settings.poolStyle)) {
+    errors.poolStyle = t('custom.error.poolStyle');
+  }
+  if (!isWholeNumberBetween(settings.numTiles, limits.minTiles, limits.maxTiles)) {
+    errors.numTiles = t('custom.error.tiles', { min: limits.minTiles, max: limits.maxTiles });
+  }
+  if (!isWholeNumberBetween(settings.memorizeSeconds, limits.minMemorizeSeconds, limits.maxMemorizeSeconds)) {
+    errors.memorizeSeconds = t('custom.error.seconds', { min: limits.minMemorizeSeconds, max: limits.maxMemorizeSeconds });
+  }
+  if (settings.recallLimitSeconds !== null
+    && !isWholeNumberBetween(settings.recallLimitSeconds, limits.minRecallSeconds, limits.maxRecallSeconds)) {
+    errors.recallLimitSeconds = t('custom.error.recallSeconds', { min: limits.minRecallSeconds, max: limits.maxRecallSeconds });
+  }
+
+  // The pool has to fill the board and still have new values left to swap in
+  if (errors.numTiles) return errors;
+  const needed = settings.numTiles + MAX_CHANGED_TILES;
+  if (contentId !== 'numbers') {
+    const poolSize = getCustomBoardValues(settings, contentId).length;
+    if (poolSize < needed) {
+      errors.numTiles = t('custom.error.tileSetSize', { tileSet: t(`tileSet.${contentId}`), max: poolSize - MAX_CHANGED_TILES });
+    }
+  } else if (!errors.poolFrom && !errors.poolTo && !errors.poolStyle) {
+    const poolSize = buildNumberPool(settings).length;
+    if (poolSize < needed) {
+      errors.poolTo = t('custom.error.poolSize', { size: poolSize, tiles: settings.numTiles, needed });
+    }
+  }
+  return errors;
+};
+
+const CUSTOM_SETTINGS_KEY = 'custom-settings';
+
+export const loadCustomSettings = () => {
+  const saved = { ...DEFAULT_CUSTOM_SETTINGS, ...readStorage(CUSTOM_SETTINGS_KEY, {}) };
+  return Object.keys(validateCustomSettings(saved)).length === 0 ? saved : DEFAULT_CUSTOM_SETTINGS;
+};
+
+export const saveCustomSettings = (settings) => writeStorage(CUSTOM_SETTINGS_KEY, settings);
+
+// Board rules for a custom game, on top of the regular settings (tile set, change type)
+export const getCustomGameRules = (settings) => ({
+  numberPool: { poolFrom: settings.poolFrom, poolTo: settings.poolTo, poolStyle: settings.poolStyle },
+  memorizeMs: settings.memorizeSeconds * 1000,
+  recallLimitMs: settings.recallLimitSeconds === null ? null : settings.recallLimitSeconds * 1000,
+});
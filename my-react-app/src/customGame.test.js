@@ -0,0 +1,67 @@
+import {
+  buildNumberPool,
+  getCustomGameRules,
+  loadCustomSettings,
+  saveCustomSettings,
+  validateCustomSettings,
+  DEFAULT_CUSTOM_SETTINGS,
+} from './customGame';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('number pools cover the range, or only look-alike numbers in it', () => {
+  expect(buildNumberPool({ poolFrom: 1, poolTo: 999, poolStyle: 'any' })).toHaveLength(999);
+  const lookalike = buildNumberPool({ poolFrom: 1, poolTo: 100, poolStyle: 'lookalike' });
+  expect(lookalike.slice(0, 8)).toEqual([3, 5, 6, 8, 9, 30, 33, 35]);
+  expect(lookalike).not.toContain(100);
+});
+
+test('the default settings are valid', () => {
+  expect(validateCustomSettings(DEFAULT_CUSTOM_SETTINGS)).toEqual({});
+});
+
+test('out-of-range or inconsistent settings are reported per field', () => {
+  const errors = validateCustomSettings({
+    ...DEFAULT_CUSTOM_SETTINGS,
+    poolFrom: 50,
+    poolTo: 20,
+    numTiles: 37,
+    memorizeSeconds: 0.5,
+    recallLimitSeconds: 1,
+  });
+  expect(Object.keys(errors).sort()).toEqual(['memorizeSeconds', 'numTiles', 'poolTo', 'recallLimitSeconds']);
+});
+
+test('the pool must be big enough for the board plus the changed tiles', () => {
+  expect(validateCustomSettings({ ...DEFAULT_CUSTOM_SETTINGS, poolFrom: 1, poolTo: 18, numTiles: 16 }).poolTo).toMatch(/at least 19/);
+  expect(validateCustomSettings({ ...DEFAULT_CUSTOM_SETTINGS, poolFrom: 1, poolTo: 19, numTiles: 16 })).toEqual({});
+});
+
+test('other tile sets limit the board to their own values, whatever the number pool', () => {
+  const big = { ...DEFAULT_CUSTOM_SETTINGS, numTiles: 36 };
+  expect(validateCustomSettings(big, undefined, undefined, 'numbers')).toEqual({}); // poolTo 100
+  expect(validateCustomSettings(big, undefined, undefined, 'colors').numTiles).toMatch(/at most 21 tiles/); // 24 colors
+  expect(validateCustomSettings(big, undefined, undefined, 'letters').numTiles).toMatch(/at most 23 tiles/);
+  expect(validateCustomSettings({ ...big, numTiles: 23 }, undefined, undefined, 'letters')).toEqual({});
+  // The number pool doesn't matter when the tiles aren't numbers
+  expect(validateCustomSettings({ ...DEFAULT_CUSTOM_SETTINGS, poolTo: 10 }, undefined, undefined, 'icons')).toEqual({});
+});
+
+test('saved settings come back, and invalid saved settings fall back to the defaults', () => {
+  const settings = { ...DEFAULT_CUSTOM_SETTINGS, poolTo: 999, numTiles: 36, recallLimitSeconds: 20 };
+  saveCustomSettings(settings);
+  expect(loadCustomSettings()).toEqual(settings);
+
+  saveCustomSettings({ ...settings, numTiles: 500 });
+  expect(loadCustomSettings()).toEqual(DEFAULT_CUSTOM_SETTINGS);
+});
+
+test('custom rules carry the pool and timings in milliseconds', () => {
+  expect(getCustomGameRules({ ...DEFAULT_CUSTOM_SETTINGS, recallLimitSeconds: 20 })).toEqual({
+    numberPool: { poolFrom: 1, poolTo: 100, poolStyle: 'any' },
+    memorizeMs: 8000,
+    recallLimitMs: 20000,
+  });
+});
@@ -0,0 +1,151 @@
+import { randomInt, shuffle } from './random';
+
+// Core round generation, kept free of React state so seeded rounds can be tested directly.
+
+export const NUMBER_POOL_MAX = 100; // Numbers will vary from 1 to 100
+
+// Tile counts offered on the number-selection screen for each difficulty
+export const TILE_COUNT_OPTIONS = {
+  easy: [4, 5, 6, 7, 8],
+  medium: [8, 9, 10, 11, 12],
+  hard: [12, 13, 14, 15, 16],
+};
+
+// Default tile values: the numbers 1 to NUMBER_POOL_MAX
+export const NUMBER_VALUES = Array.from({ length: NUMBER_POOL_MAX }, (_, i) => i + 1);
+
+// Pick 'count' unique random values from `values` (a tile content pool)
+export const generateUniqueValues = (count, rng, values = NUMBER_VALUES) => {
+  const actualCount = Math.min(count, values.length);
+  return shuffle(values, rng).slice(0, actualCount);
+};
+
+// How many tiles change per round: a fixed number picked by the player, or 'auto' to follow the difficulty
+export const MAX_CHANGED_TILES = 3;
+export const CHANGE_COUNT_OPTIONS = [1, 2, 3, 'auto'];
+const CHANGED_TILES_BY_DIFFICULTY = { easy: 1, medium: 2, hard: 3 };
+
+export const resolveChangeCount = (setting, difficulty) =>
+  setting === 'auto' ? CHANGED_TILES_BY_DIFFICULTY[difficulty] || 1 : setting;
+
+// Lives per game: each round where nothing changed is found costs one, and the game ends at zero
+export const LIVES_OPTIONS = [1, 3, 5];
+export const DEFAULT_LIVES = 3;
+
+// Compare the player's picks against the changed tiles
+export const evaluateSelection = (selectedIndices, changedIndices) => ({
+  hits: selectedIndices.filter(index => changedIndices.includes(index)),
+  misses: changedIndices.filter(index => !selectedIndices.includes(index)),
+  falsePositives: selectedIndices.filter(index => !changedIndices.includes(index)),
+});
+
+// Swap in `changeCount` values that are NOT on the original board, so every changed
+// tile is truly an "odd one out" and different from the value it replaces
+const replaceValues = (originalNumbers, rng, { changeCount, values }) => {
+  const unusedValues = values.filter(value => !originalNumbers.includes(value));
+  const actualChangeCount = Math.max(1, Math.min(changeCount, MAX_CHANGED_TILES, originalNumbers.length - 1, unusedValues.length));
+  const indicesToChange = shuffle(originalNumbers.map((_, i) => i), rng).slice(0, actualChangeCount); // Random indices to change
+  const newValues = shuffle(unusedValues, rng).slice(0, actualChangeCount);
+
+  const changedNumbers = [...originalNumbers];
+  indicesToChange.forEach((index, i) => {
+    changedNumbers[index] = newValues[i];
+  });
+  return { changedNumbers, newValues, indicesToChange, oldValues: indicesToChange.map(index => originalNumbers[index]) };
+};
+
+// Ways a board can change between the memorize and recall phases. Each type builds the
+// recall board and the tiles the player has to pick (`changedIndices`), and checks the picks.
+// `tilesPerChange` is how many of those tiles one change moves (1 unless set).
+// `previousValues` lines up with `changedIndices`: what the original board showed in place of
+// each changed tile, for the post-round review.
+export const CHANGE_TYPES = {
+  // Replace values, then scramble the whole board
+  replace: {
+    id: 'replace',
+    create: (originalNumbers, rng, options) => {
+      const { changedNumbers, newValues, oldValues } = replaceValues(originalNumbers, rng, options);
+      const recallNumbers = shuffle(changedNumbers, rng);
+      // Positions of the changed values in the scrambled array, each with the value it replaced
+      const changes = newValues
+        .map((value, i) => ({ index: recallNumbers.indexOf(value), previous: oldValues[i] }))
+        .sort((a, b) => a.index - b.index);
+      return {
+        recallNumbers,
+        changedIndices: changes.map(change => change.index),
+        previousValues: changes.map(change => change.previous),
+      };
+    },
+    check: (selectedIndices, round) => evaluateSelection(selectedIndices, round.changedIndices),
+  },
+  // Replace values but keep every tile where it was
+  mutate: {
+    id: 'mutate',
+    create: (originalNumbers, rng, options) => {
+      const { changedNumbers, indicesToChange } = replaceValues(originalNumbers, rng, options);
+      const changedIndices = [...indicesToChange].sort((a, b) => a - b);
+      return { recallNumbers: changedNumbers, changedIndices, previousValues: changedIndices.map(index => originalNumbers[index]) };
+    },
+    check: (selectedIndices, round) => evaluateSelection(selectedIndices, round.changedIndices),
+  },
+  // Two tiles trade places; no value is new, so only positions give them away
+  swap: {
+    id: 'swap',
+    tilesPerChange: 2,
+    create: (originalNumbers, rng) => {
+      const [first, second] = shuffle(originalNumbers.map((_, i) => i), rng);
+      const recallNumbers = [...originalNumbers];
+      [recallNumbers[first], recallNumbers[second]] = [recallNumbers[second], recallNumbers[first]];
+      const changedIndices = [first, second].sort((a, b) => a - b);
+      return { recallNumbers, changedIndices, previousValues: changedIndices.map(index => originalNumbers[index]) };
+    },
+    // The swap is one change: it only counts once both tiles of the pair are picked. A single
+    // tile of the pair is neither a hit nor a false positive.
+    check: (selectedIndices, round) => {
+      const { hits, misses, falsePositives } = evaluateSelection(selectedIndices, round.changedIndices);
+      return misses.length === 0
+        ? { hits, misses, falsePositives }
+        : { hits: [], misses: round.changedIndices, falsePositives };
+    },
+  },
+  // One tile disappears and the last tile moves into the gap; the player picks the tile that moved
+  remove: {
+    id: 'remove',
+    create: (originalNumbers, rng) => {
+      const lastIndex = originalNumbers.length - 1;
+      const removedIndex = randomInt(rng, lastIndex); // Never the last tile, so something always moves
+      const recallNumbers = originalNumbers.slice(0, lastIndex);
+      recallNumbers[removedIndex] = originalNumbers[lastIndex];
+      const removedValues = [originalNumbers[removedIndex]];
+      return { recallNumbers, changedIndices: [removedIndex], previousValues: removedValues, removedValues };
+    },
+    // Only the tile that filled the gap is right; there is no partial credit with a single pick
+    check: (selectedIndices, round) => {
+      const isGapFiller = selectedIndices.length === 1 && selectedIndices[0] === round.changedIndices[0];
+      return isGapFiller
+        ? { hits: selectedIndices, misses: [], falsePositives: [] }
+        : { hits: [], misses: round.changedIndices, falsePositives: selectedIndices };
+    },
+  },
+};
+
+// How many changes a number of changed tiles makes up (a swap moves two tiles in one change)
+export const countChanges = (changeType, tileCount) => tileCount / (CHANGE_TYPES[changeType].tilesPerChange ?? 1);
+
+// 'mix' picks one of the change types at random for every round
+export const CHANGE_TYPE_OPTIONS = [...Object.keys(CHANGE_TYPES), 'mix'];
+
+// Build a full Odd One Out round: the board to memorize, the recall board, and which
+// recall tiles the player has to find.
+// `values` is the pool the tiles are drawn from (numbers, letters, colors...).
+export const createOddOneOutRound = (count, rng, { changeType = 'replace', changeCount = 1, values = NUMBER_VALUES } = {}) => {
+  const originalNumbers = generateUniqueValues(Math.min(count, values.length - 1), rng, values);
+  const types = Object.keys(CHANGE_TYPES);
+  const roundChangeType = changeType === 'mix' ? types[randomInt(rng, types.length)] : changeType;
+  const change = CHANGE_TYPES[roundChangeType].create(originalNumbers, rng, { changeCount, values });
+
+  return { changeType: roundChangeType, originalNumbers, removedValues: [], ...change };
+};
+
+// Split the player's picks into hits, misses and false positives using the round's own rules
+export const checkRoundAnswer = (round, selectedIndices) => CHANGE_TYPES[round.changeType].check(selectedIndices, round);
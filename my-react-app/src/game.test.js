@@ -0,0 +1,136 @@
+import { createRng } from './random';
+import {
+  checkRoundAnswer,
+  countChanges,
+  createOddOneOutRound,
+  evaluateSelection,
+  generateUniqueValues,
+  resolveChangeCount,
+  NUMBER_POOL_MAX,
+} from './game';
+
+test('the same seed always deals the same round', () => {
+  const first = createOddOneOutRound(9, createRng('team-seed'));
+  const second = createOddOneOutRound(9, createRng('team-seed'));
+  expect(second).toEqual(first);
+});
+
+test('different seeds deal different boards', () => {
+  const first = generateUniqueValues(12, createRng('seed-a'));
+  const second = generateUniqueValues(12, createRng('seed-b'));
+  expect(second).not.toEqual(first);
+});
+
+test('generated numbers are unique and inside the pool', () => {
+  const numbers = generateUniqueValues(16, createRng(42));
+  expect(new Set(numbers).size).toBe(16);
+  numbers.forEach(n => {
+    expect(n).toBeGreaterThanOrEqual(1);
+    expect(n).toBeLessThanOrEqual(NUMBER_POOL_MAX);
+  });
+});
+
+test('the changed tile holds a value that was not on the original board', () => {
+  for (let i = 0; i < 50; i++) {
+    const { originalNumbers, recallNumbers, changedIndices } = createOddOneOutRound(8, createRng(`round-${i}`));
+    expect(changedIndices).toHaveLength(1);
+    expect(originalNumbers).not.toContain(recallNumbers[changedIndices[0]]);
+    // Every other tile is still one of the original numbers
+    recallNumbers
+      .filter((_, index) => !changedIndices.includes(index))
+      .forEach(value => expect(originalNumbers).toContain(value));
+  }
+});
+
+test('several tiles can change in one round, each to a distinct new value', () => {
+  for (let i = 0; i < 50; i++) {
+    const { originalNumbers, recallNumbers, changedIndices } = createOddOneOutRound(10, createRng(`multi-${i}`), { changeCount: 3 });
+    expect(new Set(changedIndices).size).toBe(3);
+    const changedValues = changedIndices.map(index => recallNumbers[index]);
+    expect(new Set(changedValues).size).toBe(3);
+    changedValues.forEach(value => expect(originalNumbers).not.toContain(value));
+    expect(recallNumbers.filter(value => originalNumbers.includes(value))).toHaveLength(7);
+  }
+});
+
+test('change count follows the difficulty when set to auto', () => {
+  expect(resolveChangeCount('auto', 'easy')).toBe(1);
+  expect(resolveChangeCount('auto', 'hard')).toBe(3);
+  expect(resolveChangeCount(2, 'easy')).toBe(2);
+});
+
+test('selections are split into hits, misses and false positives', () => {
+  expect(evaluateSelection([1, 4, 6], [1, 2, 6])).toEqual({ hits: [1, 6], misses: [2], falsePositives: [4] });
+});
+
+test('rounds can be drawn from any value pool', () => {
+  const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+  const { originalNumbers, recallNumbers, changedIndices } = createOddOneOutRound(12, createRng('letters'), { changeCount: 2, values: letters });
+  recallNumbers.forEach(value => expect(letters).toContain(value));
+  changedIndices.forEach(index => expect(originalNumbers).not.toContain(recallNumbers[index]));
+});
+
+test('small pools keep at least one unused value for the change', () => {
+  const { originalNumbers, changedIndices } = createOddOneOutRound(10, createRng('tiny'), { changeCount: 3, values: [1, 2, 3, 4, 5] });
+  expect(originalNumbers).toHaveLength(4);
+  expect(changedIndices).toHaveLength(1);
+});
+
+test('swap rounds keep every value and trade exactly two positions', () => {
+  const round = createOddOneOutRound(9, createRng('swap'), { changeType: 'swap' });
+  const [first, second] = round.changedIndices;
+  expect(round.recallNumbers[first]).toBe(round.originalNumbers[second]);
+  expect(round.recallNumbers[second]).toBe(round.originalNumbers[first]);
+  const untouched = round.recallNumbers.filter((_, index) => index !== first && index !== second);
+  expect(untouched).toEqual(round.originalNumbers.filter((_, index) => index !== first && index !== second));
+  expect(checkRoundAnswer(round, [first, second]).hits).toEqual([first, second]);
+  expect(checkRoundAnswer(round, [first])).toEqual({ hits: [], misses: [first, second], falsePositives: [] }); // Half a swap isn't found
+});
+
+test('a swap counts as one change however many tiles it moves', () => {
+  expect(countChanges('swap', 2)).toBe(1);
+  expect(countChanges('swap', 0)).toBe(0);
+  expect(countChanges('replace', 3)).toBe(3);
+  expect(countChanges('remove', 1)).toBe(1);
+});
+
+test('mutate rounds change values without moving any tile', () => {
+  const round = createOddOneOutRound(9, createRng('mutate'), { changeType: 'mutate', changeCount: 2 });
+  const isUnchanged = (_, index) => !round.changedIndices.includes(index);
+  expect(round.recallNumbers.filter(isUnchanged)).toEqual(round.originalNumbers.filter(isUnchanged));
+  round.changedIndices.forEach(index => expect(round.originalNumbers).not.toContain(round.recallNumbers[index]));
+});
+
+test('remove rounds fill the gap with the last tile and only accept that tile', () => {
+  const round = createOddOneOutRound(9, createRng('remove'), { changeType: 'remove' });
+  const [gap] = round.changedIndices;
+  expect(round.recallNumbers).toHaveLength(8);
+  expect(round.recallNumbers[gap]).toBe(round.originalNumbers[8]);
+  expect(round.removedValues).toEqual([round.originalNumbers[gap]]);
+  expect(checkRoundAnswer(round, [gap]).hits).toEqual([gap]);
+  expect(checkRoundAnswer(round, [(gap + 1) % 8]).hits).toEqual([]);
+});
+
+test('mix picks a change type per round from the seed', () => {
+  const types = new Set();
+  for (let i = 0; i < 40; i++) {
+    types.add(createOddOneOutRound(8, createRng(`mix-${i}`), { changeType: 'mix' }).changeType);
+  }
+  expect([...types].sort()).toEqual(['mutate', 'remove', 'replace', 'swap']);
+});
+
+test('every change type records what the original board showed in place of each changed tile', () => {
+  ['replace', 'mutate', 'swap', 'remove'].forEach(changeType => {
+    const round = createOddOneOutRound(9, createRng(`previous-${changeType}`), { changeType, changeCount: 2 });
+    expect(round.previousValues).toHaveLength(round.changedIndices.length);
+    round.previousValues.forEach(value => expect(round.originalNumbers).toContain(value));
+  });
+
+  // A mutated tile stays in place, so what it replaced sits at the same position
+  const mutated = createOddOneOutRound(9, createRng('previous-mutate'), { changeType: 'mutate', changeCount: 2 });
+  expect(mutated.previousValues).toEqual(mutated.changedIndices.map(index => mutated.originalNumbers[index]));
+
+  // Replaced values are gone from the scrambled recall board
+  const replaced = createOddOneOutRound(9, createRng('previous-replace'), { changeCount: 3 });
+  replaced.previousValues.forEach(value => expect(replaced.recallNumbers).not.toContain(value));
+});
@@ -0,0 +1,28 @@
+import { shuffle } from './random';
+
+// Hints the player can buy with points during the recall phase, at most once each per round.
+// Costs are taken off the game score straight away. Names and descriptions live in the
+// message catalog (`hint.<id>.label`, `hint.<id>.description`).
+
+export const HINTS = {
+  eliminate: {
+    id: 'eliminate',
+    cost: 30,
+  },
+  flash: {
+    id: 'flash',
+    cost: 20,
+    durationMs: 1000,
+  },
+};
+
+export const canBuyHint = (hint, score, usedHintIds) => hint.cost <= score && !usedHintIds.includes(hint.id);
+
+// Half (rounded down) of the unchanged tiles, picked at random. Empty slots of a 'remove'
+// round are never picked.
+export const pickEliminatedTiles = (recallNumbers, changedIndices, rng) => {
+  const unchanged = recallNumbers
+    .map((value, index) => index)
+    .filter(index => recallNumbers[index] !== undefined && !changedIndices.includes(index));
+  return shuffle(unchanged, rng).slice(0, Math.floor(unchanged.length / 2));
+};
@@ -0,0 +1,16 @@
+import { canBuyHint, pickEliminatedTiles, HINTS } from './hints';
+import { createRng } from './random';
+
+test('hints cost points and can be bought once per round', () => {
+  expect(canBuyHint(HINTS.eliminate, 30, [])).toBe(true);
+  expect(canBuyHint(HINTS.eliminate, 29, [])).toBe(false);
+  expect(canBuyHint(HINTS.flash, 100, ['flash'])).toBe(false);
+});
+
+test('rules out half of the unchanged tiles, never a changed tile or an empty slot', () => {
+  const recall = [5, 9, 13, 2, 7, 40, 11, undefined];
+  const eliminated = pickEliminatedTiles(recall, [1, 4], createRng('hint'));
+  expect(eliminated).toHaveLength(2); // 5 unchanged tiles, rounded down
+  expect(eliminated.filter(index => [1, 4, 7].includes(index))).toEqual([]);
+  expect(pickEliminatedTiles(recall, [1, 4], createRng('hint'))).toEqual(eliminated); // Same seed, same tiles
+});
@@ -0,0 +1,73 @@
+import { createContext, useContext } from 'react';
+import { MESSAGES } from './messages';
+import { readStorage, writeStorage } from './storage';
+
+// Translations.
+// Messages live in per-locale catalogs (messages.js) under flat dotted keys. A message is a
+// string with `{name}` placeholders, or an object of plural forms (Intl.PluralRules
+// categories: zero, one, two, few, many, other) picked by the `count` parameter. Numbers
+// passed as parameters are formatted for the locale. Keys missing from a catalog fall back
+// to English.
+
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr' },
+  es: { label: 'Español', dir: 'ltr' },
+  ar: { label: 'العربية', dir: 'rtl' },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// First supported language in the browser's preference list
+export const detectLocale = (languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) => {
+  const match = languages.map(language => String(language).split('-')[0].toLowerCase()).find(language => LOCALES[language]);
+  return match || DEFAULT_LOCALE;
+};
+
+const LOCALE_KEY = 'locale';
+
+// The saved choice, or the browser's language on the first visit
+export const loadLocale = () => {
+  const saved = readStorage(LOCALE_KEY, null);
+  return LOCALES[saved] ? saved : detectLocale();
+};
+
+export const saveLocale = (locale) => writeStorage(LOCALE_KEY, locale);
+
+const fillPlaceholders = (text, params, formatNumber) =>
+  text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+
+// Translator for one locale: `t(key, params)`, plus `t.locale`, `t.dir`, `t.formatNumber` and
+// `t.formatList` (joins names the way the language does, e.g. "a, b and c")
+export const createTranslator = (locale) => {
+  const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+  const formatNumber = (value, options) => (options ? new Intl.NumberFormat(locale, options) : numberFormat).format(value);
+  const formatList = (items, type = 'conjunction') => new Intl.ListFormat(locale, { type }).format(items.map(String));
+
+  const t = (key, params = {}) => {
+    const message = catalog[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+    const text = typeof message === 'string'
+      ? message
+      : message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    return fillPlaceholders(text, params, formatNumber);
+  };
+  t.locale = locale;
+  t.dir = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).dir;
+  t.formatNumber = formatNumber;
+  t.formatList = formatList;
+  return t;
+};
+
+// English translator for code outside React (and for tests)
+export const defaultTranslator = createTranslator(DEFAULT_LOCALE);
+
+// Components read the current translator from context
+export const I18nContext = createContext(defaultTranslator);
+
+export const useI18n = () => useContext(I18nContext);
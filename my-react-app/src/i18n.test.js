@@ -0,0 +1,65 @@
+import { createTranslator, detectLocale, loadLocale, saveLocale, LOCALES } from './i18n';
+import { MESSAGES } from './messages';
+import { TOTAL_SCORE_TO_WIN } from './scoring';
+import { TILE_CONTENT_PROVIDERS } from './tileContent';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('placeholders are filled and plurals follow the count', () => {
+  const t = createTranslator('en');
+  expect(t('versus.passDevice', { name: 'Ana' })).toBe('Pass the device to Ana');
+  expect(t('hud.lives', { count: 1 })).toBe('1 life left');
+  expect(t('hud.lives', { count: 3 })).toBe('3 lives left');
+});
+
+test('languages use their own plural categories', () => {
+  const t = createTranslator('ar');
+  expect(t('hud.lives', { count: 2 })).toBe('تبقّت روحان');
+  expect(t('hud.lives', { count: 3 })).toBe(`تبقّت ${t.formatNumber(3)} أرواح`); // 'few'
+  expect(t('hud.lives', { count: 11 })).toBe(`تبقّت ${t.formatNumber(11)} روحًا`); // 'many'
+  expect(t.dir).toBe('rtl');
+});
+
+test('numbers are formatted for the locale', () => {
+  expect(createTranslator('en')('hud.totalScore', { score: 1234, goal: TOTAL_SCORE_TO_WIN }))
+    .toBe(`Total Score: 1,234 / ${TOTAL_SCORE_TO_WIN}`);
+  expect(createTranslator('es').formatNumber(1.5)).toBe('1,5');
+  expect(createTranslator('ar').formatNumber(42)).toBe(new Intl.NumberFormat('ar').format(42));
+});
+
+test('missing messages fall back to English, then to the key', () => {
+  const t = createTranslator('es');
+  expect(t('no.such.key')).toBe('no.such.key');
+  expect(createTranslator('xx')('action.home')).toBe('Home'); // Unknown locales read English
+});
+
+test('every language covers every English message', () => {
+  Object.keys(LOCALES).forEach(locale => {
+    expect(Object.keys(MESSAGES[locale]).sort()).toEqual(Object.keys(MESSAGES.en).sort());
+  });
+});
+
+test('every color, icon and word tile has its own name in every language', () => {
+  const named = { colors: 'color', icons: 'icon', words: 'word' };
+  Object.keys(LOCALES).forEach(locale => {
+    const t = createTranslator(locale);
+    Object.entries(named).forEach(([id, kind]) => {
+      const provider = TILE_CONTENT_PROVIDERS[id];
+      provider.values.forEach(value => expect(MESSAGES[locale]).toHaveProperty([`tile.${kind}.${value}`]));
+      const names = provider.values.map(value => provider.describe(value, t));
+      expect(new Set(names).size).toBe(names.length); // Tiles stay tellable apart when read out
+    });
+  });
+  expect(TILE_CONTENT_PROVIDERS.colors.describe('sky', createTranslator('es'))).toBe('celeste');
+});
+
+test('the saved language wins over the browser language', () => {
+  expect(detectLocale(['fr-FR', 'es-MX', 'en'])).toBe('es');
+  expect(detectLocale(['fr'])).toBe('en');
+  saveLocale('ar');
+  expect(loadLocale()).toBe('ar');
+  saveLocale('klingon');
+  expect(loadLocale()).toBe(detectLocale());
+});
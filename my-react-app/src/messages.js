@@ -0,0 +1,1163 @@
+// Message catalogs, one per locale (see i18n.js for the placeholder and plural syntax).
+// English is the reference: every key lives here, and the other catalogs should cover the
+// same keys. Spanish and Arabic name tiles with a generic word ("ficha", "مربع") instead of
+// the tile set's own noun, since the noun would need a different article or agreement per set.
+
+const en = {
+  'app.title': 'Odd One Out',
+
+  // Difficulties, tile sets, change types, play modes and hints
+  'difficulty.easy': 'Easy',
+  'difficulty.medium': 'Medium',
+  'difficulty.hard': 'Hard',
+  'difficulty.adaptive': 'Adaptive',
+  'difficulty.custom': 'Custom',
+  'tileSet.numbers': 'Numbers',
+  'tileSet.letters': 'Letters',
+  'tileSet.colors': 'Colors',
+  'tileSet.icons': 'Icons',
+  'tileSet.words': 'Words',
+  'noun.numbers': { one: 'number', other: 'numbers' },
+  'noun.letters': { one: 'letter', other: 'letters' },
+  'noun.colors': { one: 'color', other: 'colors' },
+  'noun.icons': { one: 'icon', other: 'icons' },
+  'noun.words': { one: 'word', other: 'words' },
+  'changeType.replace': 'Replace & Scramble',
+  'changeType.mutate': 'Change in Place',
+  'changeType.swap': 'Swap Two',
+  'changeType.remove': 'Remove One',
+  'changeType.mix': 'Random Mix',
+  'mode.classic.label': 'Classic',
+  'mode.classic.description': 'Memorize against the clock, answer at your own pace.',
+  'mode.practice.label': 'Practice',
+  'mode.practice.description': 'Study the board as long as you like and flip it when you are ready, then answer before the clock runs out.',
+  'mode.timeAttack.label': 'Time Attack',
+  'mode.timeAttack.description': 'The answer is submitted for you when the recall clock runs out.',
+  'hint.eliminate.label': 'Rule Out Half',
+  'hint.eliminate.description': 'Rules out half of the tiles that did not change',
+  'hint.flash.label': 'Flash Original',
+  'hint.flash.description': 'Shows the original board for a moment',
+  'unit.seconds': '{value}s',
+
+  // Common buttons
+  'action.home': 'Home',
+  'action.back': 'Back',
+  'action.done': 'Done',
+  'action.tryAgain': 'Try Again',
+  'action.nextRound': 'Next Round',
+  'action.newGame': 'New Game',
+  'action.submit': 'Submit',
+  'action.submitShortcut': 'Submit (S)',
+  'action.pause': 'Pause',
+  'action.resume': 'Resume',
+  'action.flip': "I'm Ready, Flip the Board",
+  'action.change': 'Change',
+  'action.shareSeed': 'Share Seed',
+  'action.reviewRound': 'Review Round',
+  'action.hideReview': 'Hide Review',
+  'action.rematch': 'Rematch',
+  'action.standings': 'Standings',
+  'action.passTo': 'Pass to {name}',
+
+  // Start, difficulty and tile count screens
+  'start.intro': 'Test your observation! Find the number that changed.',
+  'start.play': 'Start Game',
+  'start.daily': 'Daily Challenge',
+  'start.versus': 'Versus',
+  'start.stats': 'Stats',
+  'start.settings': 'Settings',
+  'start.mistakes': 'Mistakes ({count})',
+  'difficulty.prompt': 'Select Difficulty:',
+  'difficulty.summary': '{tileSet} · {changeType}',
+  'difficulty.modes': 'Mode',
+  'tiles.prompt': 'Select the number of tiles (Difficulty: {difficulty}):',
+
+  // Heads-up display
+  'hud.totalScore': 'Total Score: {score} / {goal}',
+  'hud.streak': 'Streak ×{count}',
+  'hud.level': 'Level {level} / {max}',
+  'hud.levelDetails': '{tiles} tiles, {seconds} to memorize',
+  'hud.lives': { one: '{count} life left', other: '{count} lives left' },
+  'hud.hintTitle': '{description} (costs {cost} points)',
+  'hud.hintButton': '{label} (−{cost})',
+  'hud.scoreboard': 'Scoreboard',
+  'hud.playing': '(playing)',
+
+  // Round flow
+  'round.observe': 'Observe the {nouns}!',
+  'round.study': "Study the {nouns}, then flip the board when you're ready.",
+  'round.prompt.swap': 'Two {nouns} swapped places. Find both!',
+  'round.prompt.remove': 'A {noun} was removed and the last one filled the gap. Find the one that moved!',
+  'round.prompt.mutate': { one: 'A {noun} changed in place. Find it!', other: '{count} {nouns} changed in place. Find them!' },
+  'round.prompt.replace': { one: 'Find the changed {noun}!', other: 'Find the {count} changed {nouns}!' },
+  'round.change.swap': 'The swapped {nouns} were: {names}',
+  'round.change.remove': 'The removed {noun} was {removed}; {names} filled the gap',
+  'round.change.replace': { one: 'The changed {noun} was: {names}', other: 'The changed {nouns} were: {names}' },
+  'round.pickLimit': 'You can only pick {count} tiles. Deselect one first!',
+  'round.selectTile': 'Please select a tile!',
+  'round.selected': 'Selected {count} / {total}',
+  'round.keyboardHelp': 'Arrow keys move · Enter or Space picks · S submits',
+  'round.ruledOut': { one: '{count} unchanged tile ruled out.', other: '{count} unchanged tiles ruled out.' },
+  'round.memorizeCountdown': '({count}s)',
+  'round.answerCountdown': '({count}s to answer)',
+  'round.memorizeLeft': { one: '{count} second left to memorize', other: '{count} seconds left to memorize' },
+  'round.answerLeft': { one: '{count} second left to answer', other: '{count} seconds left to answer' },
+  'round.paused': 'Paused',
+  'round.pausedMemorize': 'The board is hidden. {seconds} of memorize time left.',
+  'round.pausedAnswer': 'The board is hidden. {seconds} of answer time left.',
+  'round.seed': 'Seed: {seed}',
+  'round.dailyBoard': 'Daily Challenge {date} · Board {board} / {total}',
+  'round.linkCopied': 'Link copied!',
+
+  // Round results
+  'result.complete': 'Round Complete!',
+  'result.completeTotal': 'Round Complete! Total Score: {total}.',
+  'result.partial': 'Found {found} of {count}! {change}',
+  'result.partialTotal': 'Partial Credit: {found} of {count} found. Total Score: {total}.',
+  'result.champion': 'You are the CHAMPION!',
+  'result.championScore': 'You are the CHAMPION! Final Score: {score}',
+  'result.dailyCompleteScore': 'Daily Challenge complete! Final Score: {score}',
+  'result.missed': 'Missed! {change}',
+  'result.timeUp': "Time's up! {change}",
+  'result.missedLives': { one: 'Missed! {count} life left. Total Score: {total}.', other: 'Missed! {count} lives left. Total Score: {total}.' },
+  'result.timeUpLives': { one: "Time's up! {count} life left. Total Score: {total}.", other: "Time's up! {count} lives left. Total Score: {total}." },
+  'result.wrong': 'Wrong! {change}',
+  'result.gameOver': 'Game Over! {change}',
+  'result.timeUpGameOver': "Time's up! Game Over! {change}",
+  'result.levelUp': 'Level up',
+  'result.levelDown': 'Level down',
+  'result.studyTime': 'Study time',
+  'legend.found': 'Found',
+  'legend.missed': 'Missed',
+  'legend.wrongPick': 'Wrong pick',
+
+  // Score breakdown
+  'score.base': 'Base',
+  'score.tileBonus': 'Board size bonus',
+  'score.changeBonus': 'Extra changes bonus',
+  'score.speedBonus': 'Speed bonus',
+  'score.difficulty': 'Difficulty',
+  'score.streak': 'Streak',
+  'score.credit': 'Tiles found',
+  'score.penalty': 'Wrong picks',
+  'score.total': 'Round score',
+
+  // Board
+  'board.board': 'Board',
+  'board.recall': 'Recall board',
+  'board.empty': 'Empty',
+  'board.tileStatus': '{tile}, {status}',
+  'tile.ruledOut': 'ruled out',
+  'tile.selected': 'selected',
+  'tile.found': 'found',
+  'tile.missed': 'missed',
+  'tile.wrongPick': 'wrong pick',
+  'tile.changed': 'changed',
+  // Tile names of the color, icon and word sets (values in tileContent.js); word tiles show them too
+  'tile.color.red': 'red',
+  'tile.color.orange': 'orange',
+  'tile.color.amber': 'amber',
+  'tile.color.yellow': 'yellow',
+  'tile.color.lime': 'lime',
+  'tile.color.green': 'green',
+  'tile.color.teal': 'teal',
+  'tile.color.cyan': 'cyan',
+  'tile.color.sky': 'sky blue',
+  'tile.color.blue': 'blue',
+  'tile.color.indigo': 'indigo',
+  'tile.color.violet': 'violet',
+  'tile.color.purple': 'purple',
+  'tile.color.pink': 'pink',
+  'tile.color.rose': 'rose',
+  'tile.color.brown': 'brown',
+  'tile.color.tan': 'tan',
+  'tile.color.white': 'white',
+  'tile.color.silver': 'silver',
+  'tile.color.black': 'black',
+  'tile.color.navy': 'navy',
+  'tile.color.olive': 'olive',
+  'tile.color.maroon': 'maroon',
+  'tile.color.mint': 'mint',
+  'tile.icon.anchor': 'anchor',
+  'tile.icon.apple': 'apple',
+  'tile.icon.bell': 'bell',
+  'tile.icon.bicycle': 'bicycle',
+  'tile.icon.bolt': 'lightning',
+  'tile.icon.book': 'book',
+  'tile.icon.camera': 'camera',
+  'tile.icon.car': 'car',
+  'tile.icon.cat': 'cat',
+  'tile.icon.cloud': 'cloud',
+  'tile.icon.crown': 'crown',
+  'tile.icon.dog': 'dog',
+  'tile.icon.dragon': 'dragon',
+  'tile.icon.droplet': 'drop',
+  'tile.icon.feather': 'feather',
+  'tile.icon.fire': 'fire',
+  'tile.icon.fish': 'fish',
+  'tile.icon.flag': 'flag',
+  'tile.icon.gem': 'gem',
+  'tile.icon.ghost': 'ghost',
+  'tile.icon.gift': 'gift',
+  'tile.icon.globe': 'globe',
+  'tile.icon.heart': 'heart',
+  'tile.icon.house': 'house',
+  'tile.icon.key': 'key',
+  'tile.icon.leaf': 'leaf',
+  'tile.icon.lemon': 'lemon',
+  'tile.icon.lock': 'lock',
+  'tile.icon.moon': 'moon',
+  'tile.icon.mug': 'mug',
+  'tile.icon.music': 'music note',
+  'tile.icon.plane': 'plane',
+  'tile.icon.puzzle': 'puzzle piece',
+  'tile.icon.rocket': 'rocket',
+  'tile.icon.seedling': 'seedling',
+  'tile.icon.snowflake': 'snowflake',
+  'tile.icon.star': 'star',
+  'tile.icon.sun': 'sun',
+  'tile.icon.tree': 'tree',
+  'tile.icon.umbrella': 'umbrella',
+  'tile.word.cat': 'cat',
+  'tile.word.dog': 'dog',
+  'tile.word.sun': 'sun',
+  'tile.word.map': 'map',
+  'tile.word.cup': 'cup',
+  'tile.word.hat': 'hat',
+  'tile.word.pen': 'pen',
+  'tile.word.box': 'box',
+  'tile.word.key': 'key',
+  'tile.word.fox': 'fox',
+  'tile.word.owl': 'owl',
+  'tile.word.bee': 'bee',
+  'tile.word.jam': 'jam',
+  'tile.word.ink': 'ink',
+  'tile.word.oak': 'oak',
+  'tile.word.sea': 'sea',
+  'tile.word.sky': 'sky',
+  'tile.word.ice': 'ice',
+  'tile.word.egg': 'egg',
+  'tile.word.bus': 'bus',
+  'tile.word.leaf': 'leaf',
+  'tile.word.rain': 'rain',
+  'tile.word.star': 'star',
+  'tile.word.moon': 'moon',
+  'tile.word.fish': 'fish',
+  'tile.word.bird': 'bird',
+  'tile.word.tree': 'tree',
+  'tile.word.rock': 'rock',
+  'tile.word.lamp': 'lamp',
+  'tile.word.door': 'door',
+  'tile.word.milk': 'milk',
+  'tile.word.sand': 'sand',
+  'tile.word.frog': 'frog',
+  'tile.word.kite': 'kite',
+  'tile.word.bell': 'bell',
+  'tile.word.ring': 'ring',
+  'tile.word.boat': 'boat',
+  'tile.word.coin': 'coin',
+  'tile.word.drum': 'drum',
+  'tile.word.nest': 'nest',
+
+  // Versus
+  'versus.title': 'Versus',
+  'versus.players': 'Players:',
+  'versus.playerName': 'Player {number} name',
+  'versus.playerPlaceholder': 'Player {number}',
+  'versus.removePlayer': 'Remove player {number}',
+  'versus.addPlayer': 'Add Player',
+  'versus.difficultyAndTiles': 'Difficulty and tiles:',
+  'versus.turnsPerPlayer': 'Turns per player:',
+  'versus.start': 'Start Versus',
+  'versus.turn': 'Turn {turn} of {total}',
+  'versus.passDevice': 'Pass the device to {name}',
+  'versus.lookAway': 'Everyone else, look away!',
+  'versus.ready': "I'm {name}, Start",
+  'versus.turnComplete': '{name}: Round Complete! +{score}',
+  'versus.turnMissed': '{name} missed! {change}',
+  'versus.turnPartial': '{name}: {found} of {count} found, +{score}. {change}',
+  'versus.winner': '{name} wins!',
+  'versus.tie': "It's a tie: {names}!",
+  'versus.place': '{place}. {name}',
+  'versus.error.playerCount': 'Versus needs {min} to {max} players.',
+  'versus.error.emptyName': 'Every player needs a name.',
+  'versus.error.longName': 'Names can be at most {max} characters.',
+  'versus.error.duplicateName': 'Each player needs a different name.',
+
+  // Custom games
+  'custom.title': 'Custom Game',
+  'custom.numbers': 'Numbers on the tiles:',
+  'custom.from': 'From',
+  'custom.to': 'To',
+  'custom.poolStyle.any': 'Every number',
+  'custom.poolStyle.lookalike': 'Look-alike numbers',
+  'custom.numbersOnly': 'Only used with the Numbers tile set.',
+  'custom.tiles': 'Tiles',
+  'custom.memorize': 'Memorize (s)',
+  'custom.recallLimit': 'Time limit to answer',
+  'custom.answerWithin': 'Answer within (s)',
+  'custom.play': 'Save & Play',
+  'custom.error.number': 'Pick a whole number from {min} to {max}.',
+  'custom.error.poolOrder': 'Must be larger than the lowest number.',
+  'custom.error.poolStyle': 'Unknown number pool.',
+  'custom.error.tiles': 'Pick {min} to {max} tiles.',
+  'custom.error.seconds': 'Pick {min} to {max} seconds.',
+  'custom.error.recallSeconds': 'Pick {min} to {max} seconds, or no limit.',
+  'custom.error.poolSize': 'This pool has {size} numbers; {tiles} tiles need at least {needed}.',
+  'custom.error.tileSetSize': 'Boards of {tileSet} fit at most {max} tiles.',
+
+  // Settings
+  'settings.tiles': 'Choose your tiles:',
+  'settings.changeType': 'How the board changes:',
+  'settings.changeCount': 'Changed tiles per round:',
+  'settings.changeCountUnused': 'Changed tiles per round (not used by this change type):',
+  'settings.byDifficulty': 'By Difficulty',
+  'settings.lives': 'Lives per game:',
+  'settings.suddenDeath': '{count} (Sudden Death)',
+  'settings.sound': 'Sound & vibration:',
+  'settings.mute': 'Mute',
+  'settings.muted': 'Muted',
+  'settings.volume': 'Volume',
+  'settings.language': 'Language:',
+  'settings.theme': 'Theme:',
+  'theme.system': 'Match System',
+  'theme.dark': 'Dark',
+  'theme.light': 'Light',
+  'theme.highContrast': 'High Contrast',
+  'theme.colorblind': 'Colorblind Safe',
+  'update.available': 'A new version of the game is ready.',
+  'update.reload': 'Reload',
+  'update.later': 'Later',
+  'offline.unavailable': "Offline play isn't available in this browser; the game needs a connection.",
+  'offline.dismiss': 'OK',
+
+  // Stats
+  'stats.title': 'Your Stats',
+  'stats.bestScore': 'Best Score',
+  'stats.bestStreak': 'Best Streak',
+  'stats.gamesPlayed': 'Games Played',
+  'stats.difficulty': 'Difficulty',
+  'stats.rounds': 'Rounds',
+  'stats.accuracy': 'Accuracy',
+  'stats.averageAnswer': 'Avg. Answer',
+  'stats.recentGames': 'Recent Games',
+  'stats.noGames': 'No games played yet.',
+  'stats.date': 'Date',
+  'stats.result': 'Result',
+  'stats.score': 'Score',
+  'stats.daily': 'Daily',
+  'stats.won': 'Won',
+  'stats.lost': 'Lost',
+  'stats.completed': 'Completed',
+  'stats.adaptiveLevel': 'Adaptive Level',
+  'stats.adaptiveLevelValue': 'Adaptive Level: {level} / {max}',
+  'stats.noLevelChanges': 'No level changes yet.',
+  'stats.level': 'Level',
+  'stats.why': 'Why',
+  'stats.newBoard': 'New Board',
+  'stats.boardDetails': '{tiles} tiles · {seconds}',
+  'stats.reason.miss': 'Missed a round',
+  'stats.reason.streak': 'Correct streak',
+  'stats.practice': 'Practice',
+  'stats.noPractice': 'No practice rounds yet.',
+  'stats.practiceSummary': {
+    one: '{count} round · {accuracy} correct · {seconds} average study time',
+    other: '{count} rounds · {accuracy} correct · {seconds} average study time',
+  },
+  'stats.reset': 'Reset Stats',
+
+  // Review and mistakes
+  'review.title': 'Round review',
+  'review.original': 'Original',
+  'review.recall': 'Recall',
+  'review.change.swap': '{current} swapped into the place of {previous}',
+  'review.change.remove': '{previous} was removed and {current} filled the gap',
+  'review.change.replace': '{previous} was replaced by {current}',
+  'review.found': '{change} (found)',
+  'review.missed': '{change} (missed)',
+  'review.wrongPick': "You picked {tile}, which didn't change",
+  'review.noPick': 'No tile was picked.',
+  'mistakes.title': 'Mistakes',
+  'mistakes.previous': 'Previous',
+  'mistakes.next': 'Next',
+  'mistakes.position': 'Mistake {position} of {total}',
+  'mistakes.none': 'No mistakes yet this session. Keep it up!',
+  'mistakes.dailyLabel': 'Daily Challenge {date} · Board {board}',
+  'mistakes.label': '{difficulty} · Board {board} · {changeType}',
+};
+
+const es = {
+  'app.title': 'El Intruso',
+
+  'difficulty.easy': 'Fácil',
+  'difficulty.medium': 'Media',
+  'difficulty.hard': 'Difícil',
+  'difficulty.adaptive': 'Adaptativa',
+  'difficulty.custom': 'Personalizada',
+  'tileSet.numbers': 'Números',
+  'tileSet.letters': 'Letras',
+  'tileSet.colors': 'Colores',
+  'tileSet.icons': 'Iconos',
+  'tileSet.words': 'Palabras',
+  'noun.numbers': { one: 'número', other: 'números' },
+  'noun.letters': { one: 'letra', other: 'letras' },
+  'noun.colors': { one: 'color', other: 'colores' },
+  'noun.icons': { one: 'icono', other: 'iconos' },
+  'noun.words': { one: 'palabra', other: 'palabras' },
+  'changeType.replace': 'Reemplazar y mezclar',
+  'changeType.mutate': 'Cambiar en su sitio',
+  'changeType.swap': 'Intercambiar dos',
+  'changeType.remove': 'Quitar una',
+  'changeType.mix': 'Mezcla al azar',
+  'mode.classic.label': 'Clásico',
+  'mode.classic.description': 'Memoriza contra el reloj y responde a tu ritmo.',
+  'mode.practice.label': 'Práctica',
+  'mode.practice.description': 'Estudia el tablero todo lo que quieras, dale la vuelta cuando estés listo y responde antes de que se acabe el tiempo.',
+  'mode.timeAttack.label': 'Contrarreloj',
+  'mode.timeAttack.description': 'Tu respuesta se envía sola cuando se acaba el tiempo para responder.',
+  'hint.eliminate.label': 'Descartar la mitad',
+  'hint.eliminate.description': 'Descarta la mitad de las fichas que no cambiaron',
+  'hint.flash.label': 'Ver el original',
+  'hint.flash.description': 'Muestra el tablero original por un momento',
+  'unit.seconds': '{value} s',
+
+  'action.home': 'Inicio',
+  'action.back': 'Atrás',
+  'action.done': 'Listo',
+  'action.tryAgain': 'Reintentar',
+  'action.nextRound': 'Siguiente ronda',
+  'action.newGame': 'Nueva partida',
+  'action.submit': 'Enviar',
+  'action.submitShortcut': 'Enviar (S)',
+  'action.pause': 'Pausa',
+  'action.resume': 'Continuar',
+  'action.flip': 'Listo, dar la vuelta',
+  'action.change': 'Cambiar',
+  'action.shareSeed': 'Compartir semilla',
+  'action.reviewRound': 'Revisar ronda',
+  'action.hideReview': 'Ocultar revisión',
+  'action.rematch': 'Revancha',
+  'action.standings': 'Clasificación',
+  'action.passTo': 'Pasar a {name}',
+
+  'start.intro': '¡Pon a prueba tu observación! Encuentra la ficha que cambió.',
+  'start.play': 'Jugar',
+  'start.daily': 'Reto diario',
+  'start.versus': 'Versus',
+  'start.stats': 'Estadísticas',
+  'start.settings': 'Ajustes',
+  'start.mistakes': 'Errores ({count})',
+  'difficulty.prompt': 'Elige la dificultad:',
+  'difficulty.summary': '{tileSet} · {changeType}',
+  'difficulty.modes': 'Modo',
+  'tiles.prompt': 'Elige el número de fichas (dificultad: {difficulty}):',
+
+  'hud.totalScore': 'Puntuación: {score} / {goal}',
+  'hud.streak': 'Racha ×{count}',
+  'hud.level': 'Nivel {level} / {max}',
+  'hud.levelDetails': '{tiles} fichas, {seconds} para memorizar',
+  'hud.lives': { one: 'Te queda {count} vida', other: 'Te quedan {count} vidas' },
+  'hud.hintTitle': '{description} (cuesta {cost} puntos)',
+  'hud.hintButton': '{label} (−{cost})',
+  'hud.scoreboard': 'Marcador',
+  'hud.playing': '(jugando)',
+
+  'round.observe': '¡Observa las fichas!',
+  'round.study': 'Estudia las fichas y da la vuelta al tablero cuando estés listo.',
+  'round.prompt.swap': 'Dos fichas intercambiaron su lugar. ¡Encuentra ambas!',
+  'round.prompt.remove': 'Se quitó una ficha y la última ocupó su hueco. ¡Encuentra la que se movió!',
+  'round.prompt.mutate': { one: 'Una ficha cambió en su sitio. ¡Encuéntrala!', other: '{count} fichas cambiaron en su sitio. ¡Encuéntralas!' },
+  'round.prompt.replace': { one: '¡Encuentra la ficha que cambió!', other: '¡Encuentra las {count} fichas que cambiaron!' },
+  'round.change.swap': 'Las fichas intercambiadas eran: {names}',
+  'round.change.remove': 'La ficha quitada era {removed}; {names} ocupó el hueco',
+  'round.change.replace': { one: 'La ficha que cambió era: {names}', other: 'Las fichas que cambiaron eran: {names}' },
+  'round.pickLimit': 'Solo puedes elegir {count} fichas. ¡Quita una primero!',
+  'round.selectTile': '¡Elige una ficha!',
+  'round.selected': 'Elegidas {count} / {total}',
+  'round.keyboardHelp': 'Flechas para moverte · Intro o Espacio para elegir · S para enviar',
+  'round.ruledOut': { one: 'Se descartó {count} ficha sin cambios.', other: 'Se descartaron {count} fichas sin cambios.' },
+  'round.memorizeCountdown': '({count} s)',
+  'round.answerCountdown': '({count} s para responder)',
+  'round.memorizeLeft': { one: 'Queda {count} segundo para memorizar', other: 'Quedan {count} segundos para memorizar' },
+  'round.answerLeft': { one: 'Queda {count} segundo para responder', other: 'Quedan {count} segundos para responder' },
+  'round.paused': 'En pausa',
+  'round.pausedMemorize': 'El tablero está oculto. Quedan {seconds} para memorizar.',
+  'round.pausedAnswer': 'El tablero está oculto. Quedan {seconds} para responder.',
+  'round.seed': 'Semilla: {seed}',
+  'round.dailyBoard': 'Reto diario {date} · Tablero {board} / {total}',
+  'round.linkCopied': '¡Enlace copiado!',
+
+  'result.complete': '¡Ronda completada!',
+  'result.completeTotal': '¡Ronda completada! Puntuación: {total}.',
+  'result.partial': '¡Encontraste {found} de {count}! {change}',
+  'result.partialTotal': 'Crédito parcial: {found} de {count} encontradas. Puntuación: {total}.',
+  'result.champion': '¡Eres el CAMPEÓN!',
+  'result.championScore': '¡Eres el CAMPEÓN! Puntuación final: {score}',
+  'result.dailyCompleteScore': '¡Reto diario completado! Puntuación final: {score}',
+  'result.missed': '¡Fallaste! {change}',
+  'result.timeUp': '¡Se acabó el tiempo! {change}',
+  'result.missedLives': { one: '¡Fallaste! Te queda {count} vida. Puntuación: {total}.', other: '¡Fallaste! Te quedan {count} vidas. Puntuación: {total}.' },
+  'result.timeUpLives': { one: '¡Se acabó el tiempo! Te queda {count} vida. Puntuación: {total}.', other: '¡Se acabó el tiempo! Te quedan {count} vidas. Puntuación: {total}.' },
+  'result.wrong': '¡Incorrecto! {change}',
+  'result.gameOver': '¡Fin de la partida! {change}',
+  'result.timeUpGameOver': '¡Se acabó el tiempo! ¡Fin de la partida! {change}',
+  'result.levelUp': 'Subes de nivel',
+  'result.levelDown': 'Bajas de nivel',
+  'result.studyTime': 'Tiempo de estudio',
+  'legend.found': 'Encontrada',
+  'legend.missed': 'No encontrada',
+  'legend.wrongPick': 'Elección errónea',
+
+  'score.base': 'Base',
+  'score.tileBonus': 'Bono por tamaño',
+  'score.changeBonus': 'Bono por cambios extra',
+  'score.speedBonus': 'Bono por rapidez',
+  'score.difficulty': 'Dificultad',
+  'score.streak': 'Racha',
+  'score.credit': 'Fichas encontradas',
+  'score.penalty': 'Elecciones erróneas',
+  'score.total': 'Puntos de la ronda',
+
+  'board.board': 'Tablero',
+  'board.recall': 'Tablero para recordar',
+  'board.empty': 'Vacía',
+  'board.tileStatus': '{tile}, {status}',
+  'tile.ruledOut': 'descartada',
+  'tile.selected': 'elegida',
+  'tile.found': 'encontrada',
+  'tile.missed': 'no encontrada',
+  'tile.wrongPick': 'elección errónea',
+  'tile.changed': 'cambiada',
+  'tile.color.red': 'rojo',
+  'tile.color.orange': 'naranja',
+  'tile.color.amber': 'ámbar',
+  'tile.color.yellow': 'amarillo',
+  'tile.color.lime': 'lima',
+  'tile.color.green': 'verde',
+  'tile.color.teal': 'verde azulado',
+  'tile.color.cyan': 'cian',
+  'tile.color.sky': 'celeste',
+  'tile.color.blue': 'azul',
+  'tile.color.indigo': 'índigo',
+  'tile.color.violet': 'violeta',
+  'tile.color.purple': 'morado',
+  'tile.color.pink': 'rosa',
+  'tile.color.rose': 'carmesí',
+  'tile.color.brown': 'marrón',
+  'tile.color.tan': 'canela',
+  'tile.color.white': 'blanco',
+  'tile.color.silver': 'plateado',
+  'tile.color.black': 'negro',
+  'tile.color.navy': 'azul marino',
+  'tile.color.olive': 'oliva',
+  'tile.color.maroon': 'granate',
+  'tile.color.mint': 'menta',
+  'tile.icon.anchor': 'ancla',
+  'tile.icon.apple': 'manzana',
+  'tile.icon.bell': 'campana',
+  'tile.icon.bicycle': 'bicicleta',
+  'tile.icon.bolt': 'rayo',
+  'tile.icon.book': 'libro',
+  'tile.icon.camera': 'cámara',
+  'tile.icon.car': 'coche',
+  'tile.icon.cat': 'gato',
+  'tile.icon.cloud': 'nube',
+  'tile.icon.crown': 'corona',
+  'tile.icon.dog': 'perro',
+  'tile.icon.dragon': 'dragón',
+  'tile.icon.droplet': 'gota',
+  'tile.icon.feather': 'pluma',
+  'tile.icon.fire': 'fuego',
+  'tile.icon.fish': 'pez',
+  'tile.icon.flag': 'bandera',
+  'tile.icon.gem': 'gema',
+  'tile.icon.ghost': 'fantasma',
+  'tile.icon.gift': 'regalo',
+  'tile.icon.globe': 'globo terráqueo',
+  'tile.icon.heart': 'corazón',
+  'tile.icon.house': 'casa',
+  'tile.icon.key': 'llave',
+  'tile.icon.leaf': 'hoja',
+  'tile.icon.lemon': 'limón',
+  'tile.icon.lock': 'candado',
+  'tile.icon.moon': 'luna',
+  'tile.icon.mug': 'taza',
+  'tile.icon.music': 'nota musical',
+  'tile.icon.plane': 'avión',
+  'tile.icon.puzzle': 'pieza de puzle',
+  'tile.icon.rocket': 'cohete',
+  'tile.icon.seedling': 'brote',
+  'tile.icon.snowflake': 'copo de nieve',
+  'tile.icon.star': 'estrella',
+  'tile.icon.sun': 'sol',
+  'tile.icon.tree': 'árbol',
+  'tile.icon.umbrella': 'paraguas',
+  'tile.word.cat': 'gato',
+  'tile.word.dog': 'perro',
+  'tile.word.sun': 'sol',
+  'tile.word.map': 'mapa',
+  'tile.word.cup': 'taza',
+  'tile.word.hat': 'gorro',
+  'tile.word.pen': 'boli',
+  'tile.word.box': 'caja',
+  'tile.word.key': 'llave',
+  'tile.word.fox': 'zorro',
+  'tile.word.owl': 'búho',
+  'tile.word.bee': 'abeja',
+  'tile.word.jam': 'jalea',
+  'tile.word.ink': 'tinta',
+  'tile.word.oak': 'roble',
+  'tile.word.sea': 'mar',
+  'tile.word.sky': 'cielo',
+  'tile.word.ice': 'hielo',
+  'tile.word.egg': 'huevo',
+  'tile.word.bus': 'bus',
+  'tile.word.leaf': 'hoja',
+  'tile.word.rain': 'lluvia',
+  'tile.word.star': 'estrella',
+  'tile.word.moon': 'luna',
+  'tile.word.fish': 'pez',
+  'tile.word.bird': 'pájaro',
+  'tile.word.tree': 'árbol',
+  'tile.word.rock': 'roca',
+  'tile.word.lamp': 'lámpara',
+  'tile.word.door': 'puerta',
+  'tile.word.milk': 'leche',
+  'tile.word.sand': 'arena',
+  'tile.word.frog': 'rana',
+  'tile.word.kite': 'cometa',
+  'tile.word.bell': 'campana',
+  'tile.word.ring': 'anillo',
+  'tile.word.boat': 'barco',
+  'tile.word.coin': 'moneda',
+  'tile.word.drum': 'tambor',
+  'tile.word.nest': 'nido',
+
+  'versus.title': 'Versus',
+  'versus.players': 'Jugadores:',
+  'versus.playerName': 'Nombre del jugador {number}',
+  'versus.playerPlaceholder': 'Jugador {number}',
+  'versus.removePlayer': 'Quitar al jugador {number}',
+  'versus.addPlayer': 'Añadir jugador',
+  'versus.difficultyAndTiles': 'Dificultad y fichas:',
+  'versus.turnsPerPlayer': 'Turnos por jugador:',
+  'versus.start': 'Empezar versus',
+  'versus.turn': 'Turno {turn} de {total}',
+  'versus.passDevice': 'Pasa el dispositivo a {name}',
+  'versus.lookAway': '¡Los demás, no miréis!',
+  'versus.ready': 'Soy {name}, empezar',
+  'versus.turnComplete': '{name}: ¡ronda completada! +{score}',
+  'versus.turnMissed': '¡{name} falló! {change}',
+  'versus.turnPartial': '{name}: {found} de {count} encontradas, +{score}. {change}',
+  'versus.winner': '¡Gana {name}!',
+  'versus.tie': '¡Empate: {names}!',
+  'versus.place': '{place}. {name}',
+  'versus.error.playerCount': 'El versus necesita de {min} a {max} jugadores.',
+  'versus.error.emptyName': 'Cada jugador necesita un nombre.',
+  'versus.error.longName': 'Los nombres pueden tener como mucho {max} caracteres.',
+  'versus.error.duplicateName': 'Cada jugador necesita un nombre distinto.',
+
+  'custom.title': 'Partida personalizada',
+  'custom.numbers': 'Números en las fichas:',
+  'custom.from': 'Desde',
+  'custom.to': 'Hasta',
+  'custom.poolStyle.any': 'Todos los números',
+  'custom.poolStyle.lookalike': 'Números parecidos',
+  'custom.numbersOnly': 'Solo se usa con el juego de fichas de números.',
+  'custom.tiles': 'Fichas',
+  'custom.memorize': 'Memorizar (s)',
+  'custom.recallLimit': 'Tiempo límite para responder',
+  'custom.answerWithin': 'Responder en (s)',
+  'custom.play': 'Guardar y jugar',
+  'custom.error.number': 'Elige un número entero de {min} a {max}.',
+  'custom.error.poolOrder': 'Debe ser mayor que el número más bajo.',
+  'custom.error.poolStyle': 'Conjunto de números desconocido.',
+  'custom.error.tiles': 'Elige de {min} a {max} fichas.',
+  'custom.error.seconds': 'Elige de {min} a {max} segundos.',
+  'custom.error.recallSeconds': 'Elige de {min} a {max} segundos, o sin límite.',
+  'custom.error.poolSize': 'Este conjunto tiene {size} números; {tiles} fichas necesitan al menos {needed}.',
+  'custom.error.tileSetSize': 'Los tableros de {tileSet} admiten como máximo {max} fichas.',
+
+  'settings.tiles': 'Elige tus fichas:',
+  'settings.changeType': 'Cómo cambia el tablero:',
+  'settings.changeCount': 'Fichas que cambian por ronda:',
+  'settings.changeCountUnused': 'Fichas que cambian por ronda (no se usa con este tipo de cambio):',
+  'settings.byDifficulty': 'Según la dificultad',
+  'settings.lives': 'Vidas por partida:',
+  'settings.suddenDeath': '{count} (muerte súbita)',
+  'settings.sound': 'Sonido y vibración:',
+  'settings.mute': 'Silenciar',
+  'settings.muted': 'Silenciado',
+  'settings.volume': 'Volumen',
+  'settings.language': 'Idioma:',
+  'settings.theme': 'Tema:',
+  'theme.system': 'Como el sistema',
+  'theme.dark': 'Oscuro',
+  'theme.light': 'Claro',
+  'theme.highContrast': 'Alto contraste',
+  'theme.colorblind': 'Apto para daltonismo',
+  'update.available': 'Hay una nueva versión del juego lista.',
+  'update.reload': 'Recargar',
+  'update.later': 'Más tarde',
+  'offline.unavailable': 'El juego sin conexión no está disponible en este navegador; necesitas conexión para jugar.',
+  'offline.dismiss': 'Entendido',
+
+  'stats.title': 'Tus estadísticas',
+  'stats.bestScore': 'Mejor puntuación',
+  'stats.bestStreak': 'Mejor racha',
+  'stats.gamesPlayed': 'Partidas jugadas',
+  'stats.difficulty': 'Dificultad',
+  'stats.rounds': 'Rondas',
+  'stats.accuracy': 'Precisión',
+  'stats.averageAnswer': 'Resp. media',
+  'stats.recentGames': 'Partidas recientes',
+  'stats.noGames': 'Aún no has jugado ninguna partida.',
+  'stats.date': 'Fecha',
+  'stats.result': 'Resultado',
+  'stats.score': 'Puntos',
+  'stats.daily': 'Diario',
+  'stats.won': 'Ganada',
+  'stats.lost': 'Perdida',
+  'stats.completed': 'Completada',
+  'stats.adaptiveLevel': 'Nivel adaptativo',
+  'stats.adaptiveLevelValue': 'Nivel adaptativo: {level} / {max}',
+  'stats.noLevelChanges': 'Aún no hay cambios de nivel.',
+  'stats.level': 'Nivel',
+  'stats.why': 'Motivo',
+  'stats.newBoard': 'Nuevo tablero',
+  'stats.boardDetails': '{tiles} fichas · {seconds}',
+  'stats.reason.miss': 'Ronda fallada',
+  'stats.reason.streak': 'Racha de aciertos',
+  'stats.practice': 'Práctica',
+  'stats.noPractice': 'Aún no hay rondas de práctica.',
+  'stats.practiceSummary': {
+    one: '{count} ronda · {accuracy} de aciertos · {seconds} de estudio de media',
+    other: '{count} rondas · {accuracy} de aciertos · {seconds} de estudio de media',
+  },
+  'stats.reset': 'Borrar estadísticas',
+
+  'review.title': 'Revisión de la ronda',
+  'review.original': 'Original',
+  'review.recall': 'Para recordar',
+  'review.change.swap': '{current} ocupó el lugar de {previous}',
+  'review.change.remove': 'Se quitó {previous} y {current} ocupó el hueco',
+  'review.change.replace': '{previous} se cambió por {current}',
+  'review.found': '{change} (encontrada)',
+  'review.missed': '{change} (no encontrada)',
+  'review.wrongPick': 'Elegiste {tile}, que no cambió',
+  'review.noPick': 'No elegiste ninguna ficha.',
+  'mistakes.title': 'Errores',
+  'mistakes.previous': 'Anterior',
+  'mistakes.next': 'Siguiente',
+  'mistakes.position': 'Error {position} de {total}',
+  'mistakes.none': 'Aún no hay errores en esta sesión. ¡Sigue así!',
+  'mistakes.dailyLabel': 'Reto diario {date} · Tablero {board}',
+  'mistakes.label': '{difficulty} · Tablero {board} · {changeType}',
+};
+
+const ar = {
+  'app.title': 'الدخيل',
+
+  'difficulty.easy': 'سهل',
+  'difficulty.medium': 'متوسط',
+  'difficulty.hard': 'صعب',
+  'difficulty.adaptive': 'تكيفي',
+  'difficulty.custom': 'مخصص',
+  'tileSet.numbers': 'أرقام',
+  'tileSet.letters': 'حروف',
+  'tileSet.colors': 'ألوان',
+  'tileSet.icons': 'أيقونات',
+  'tileSet.words': 'كلمات',
+  'noun.numbers': { one: 'رقم', other: 'أرقام' },
+  'noun.letters': { one: 'حرف', other: 'حروف' },
+  'noun.colors': { one: 'لون', other: 'ألوان' },
+  'noun.icons': { one: 'أيقونة', other: 'أيقونات' },
+  'noun.words': { one: 'كلمة', other: 'كلمات' },
+  'changeType.replace': 'استبدال وخلط',
+  'changeType.mutate': 'تغيير في المكان',
+  'changeType.swap': 'تبديل اثنين',
+  'changeType.remove': 'إزالة واحد',
+  'changeType.mix': 'مزيج عشوائي',
+  'mode.classic.label': 'كلاسيكي',
+  'mode.classic.description': 'احفظ اللوحة قبل انتهاء الوقت، وأجب على مهلك.',
+  'mode.practice.label': 'تدريب',
+  'mode.practice.description': 'ادرس اللوحة كما تشاء واقلبها عندما تكون جاهزًا، ثم أجب قبل انتهاء الوقت.',
+  'mode.timeAttack.label': 'سباق مع الزمن',
+  'mode.timeAttack.description': 'تُرسل إجابتك تلقائيًا عند انتهاء وقت الإجابة.',
+  'hint.eliminate.label': 'استبعاد النصف',
+  'hint.eliminate.description': 'يستبعد نصف المربعات التي لم تتغير',
+  'hint.flash.label': 'لمحة من الأصل',
+  'hint.flash.description': 'يعرض اللوحة الأصلية للحظة',
+  'unit.seconds': '{value} ث',
+
+  'action.home': 'الرئيسية',
+  'action.back': 'رجوع',
+  'action.done': 'تم',
+  'action.tryAgain': 'حاول مجددًا',
+  'action.nextRound': 'الجولة التالية',
+  'action.newGame': 'لعبة جديدة',
+  'action.submit': 'إرسال',
+  'action.submitShortcut': 'إرسال (S)',
+  'action.pause': 'إيقاف مؤقت',
+  'action.resume': 'استئناف',
+  'action.flip': 'أنا جاهز، اقلب اللوحة',
+  'action.change': 'تغيير',
+  'action.shareSeed': 'مشاركة البذرة',
+  'action.reviewRound': 'مراجعة الجولة',
+  'action.hideReview': 'إخفاء المراجعة',
+  'action.rematch': 'مباراة إعادة',
+  'action.standings': 'الترتيب',
+  'action.passTo': 'سلّم إلى {name}',
+
+  'start.intro': 'اختبر قوة ملاحظتك! اعثر على المربع الذي تغيّر.',
+  'start.play': 'ابدأ اللعب',
+  'start.daily': 'تحدي اليوم',
+  'start.versus': 'مواجهة',
+  'start.stats': 'الإحصاءات',
+  'start.settings': 'الإعدادات',
+  'start.mistakes': 'الأخطاء ({count})',
+  'difficulty.prompt': 'اختر الصعوبة:',
+  'difficulty.summary': '{tileSet} · {changeType}',
+  'difficulty.modes': 'النمط',
+  'tiles.prompt': 'اختر عدد المربعات (الصعوبة: {difficulty}):',
+
+  'hud.totalScore': 'المجموع: {score} / {goal}',
+  'hud.streak': 'سلسلة ×{count}',
+  'hud.level': 'المستوى {level} / {max}',
+  'hud.levelDetails': '{tiles} مربعات، {seconds} للحفظ',
+  'hud.lives': {
+    zero: 'لم يتبقَّ أي أرواح',
+    one: 'تبقّت روح واحدة',
+    two: 'تبقّت روحان',
+    few: 'تبقّت {count} أرواح',
+    many: 'تبقّت {count} روحًا',
+    other: 'تبقّت {count} روح',
+  },
+  'hud.hintTitle': '{description} (التكلفة {cost} نقطة)',
+  'hud.hintButton': '{label} (−{cost})',
+  'hud.scoreboard': 'لوحة النتائج',
+  'hud.playing': '(يلعب الآن)',
+
+  'round.observe': 'لاحظ المربعات!',
+  'round.study': 'ادرس المربعات، ثم اقلب اللوحة عندما تكون جاهزًا.',
+  'round.prompt.swap': 'تبادل مربعان مكانيهما. اعثر عليهما!',
+  'round.prompt.remove': 'أُزيل مربع وملأ المربع الأخير مكانه. اعثر على المربع الذي تحرّك!',
+  'round.prompt.mutate': {
+    one: 'تغيّر مربع في مكانه. اعثر عليه!',
+    two: 'تغيّر مربعان في مكانهما. اعثر عليهما!',
+    other: 'تغيّرت {count} مربعات في أماكنها. اعثر عليها!',
+  },
+  'round.prompt.replace': {
+    one: 'اعثر على المربع الذي تغيّر!',
+    two: 'اعثر على المربعين اللذين تغيّرا!',
+    other: 'اعثر على المربعات الـ{count} التي تغيّرت!',
+  },
+  'round.change.swap': 'المربعان المتبادلان: {names}',
+  'round.change.remove': 'المربع المُزال كان {removed}؛ وملأ {names} مكانه',
+  'round.change.replace': { one: 'المربع الذي تغيّر: {names}', other: 'المربعات التي تغيّرت: {names}' },
+  'round.pickLimit': 'يمكنك اختيار {count} مربعات فقط. ألغِ اختيار أحدها أولًا!',
+  'round.selectTile': 'اختر مربعًا!',
+  'round.selected': 'المختارة {count} / {total}',
+  'round.keyboardHelp': 'الأسهم للتنقل · Enter أو المسافة للاختيار · S للإرسال',
+  'round.ruledOut': {
+    one: 'استُبعد مربع واحد لم يتغير.',
+    two: 'استُبعد مربعان لم يتغيرا.',
+    other: 'استُبعدت {count} مربعات لم تتغير.',
+  },
+  'round.memorizeCountdown': '({count} ث)',
+  'round.answerCountdown': '({count} ث للإجابة)',
+  'round.memorizeLeft': {
+    one: 'تبقّت ثانية واحدة للحفظ',
+    two: 'تبقّت ثانيتان للحفظ',
+    other: 'تبقّت {count} ثوانٍ للحفظ',
+  },
+  'round.answerLeft': {
+    one: 'تبقّت ثانية واحدة للإجابة',
+    two: 'تبقّت ثانيتان للإجابة',
+    other: 'تبقّت {count} ثوانٍ للإجابة',
+  },
+  'round.paused': 'متوقف مؤقتًا',
+  'round.pausedMemorize': 'اللوحة مخفية. تبقّى {seconds} من وقت الحفظ.',
+  'round.pausedAnswer': 'اللوحة مخفية. تبقّى {seconds} من وقت الإجابة.',
+  'round.seed': 'البذرة: {seed}',
+  'round.dailyBoard': 'تحدي اليوم {date} · اللوحة {board} / {total}',
+  'round.linkCopied': 'تم نسخ الرابط!',
+
+  'result.complete': 'اكتملت الجولة!',
+  'result.completeTotal': 'اكتملت الجولة! المجموع: {total}.',
+  'result.partial': 'وجدت {found} من {count}! {change}',
+  'result.partialTotal': 'نقاط جزئية: وجدت {found} من {count}. المجموع: {total}.',
+  'result.champion': 'أنت البطل!',
+  'result.championScore': 'أنت البطل! النتيجة النهائية: {score}',
+  'result.dailyCompleteScore': 'اكتمل تحدي اليوم! النتيجة النهائية: {score}',
+  'result.missed': 'فاتتك! {change}',
+  'result.timeUp': 'انتهى الوقت! {change}',
+  'result.missedLives': {
+    one: 'فاتتك! تبقّت روح واحدة. المجموع: {total}.',
+    two: 'فاتتك! تبقّت روحان. المجموع: {total}.',
+    other: 'فاتتك! تبقّت {count} أرواح. المجموع: {total}.',
+  },
+  'result.timeUpLives': {
+    one: 'انتهى الوقت! تبقّت روح واحدة. المجموع: {total}.',
+    two: 'انتهى الوقت! تبقّت روحان. المجموع: {total}.',
+    other: 'انتهى الوقت! تبقّت {count} أرواح. المجموع: {total}.',
+  },
+  'result.wrong': 'خطأ! {change}',
+  'result.gameOver': 'انتهت اللعبة! {change}',
+  'result.timeUpGameOver': 'انتهى الوقت! انتهت اللعبة! {change}',
+  'result.levelUp': 'ترقية المستوى',
+  'result.levelDown': 'نزول المستوى',
+  'result.studyTime': 'وقت الدراسة',
+  'legend.found': 'وُجد',
+  'legend.missed': 'فات',
+  'legend.wrongPick': 'اختيار خاطئ',
+
+  'score.base': 'الأساس',
+  'score.tileBonus': 'مكافأة حجم اللوحة',
+  'score.changeBonus': 'مكافأة التغييرات الإضافية',
+  'score.speedBonus': 'مكافأة السرعة',
+  'score.difficulty': 'الصعوبة',
+  'score.streak': 'السلسلة',
+  'score.credit': 'المربعات التي وُجدت',
+  'score.penalty': 'الاختيارات الخاطئة',
+  'score.total': 'نقاط الجولة',
+
+  'board.board': 'اللوحة',
+  'board.recall': 'لوحة التذكر',
+  'board.empty': 'فارغ',
+  'board.tileStatus': '{tile}، {status}',
+  'tile.ruledOut': 'مستبعد',
+  'tile.selected': 'مختار',
+  'tile.found': 'وُجد',
+  'tile.missed': 'فات',
+  'tile.wrongPick': 'اختيار خاطئ',
+  'tile.changed': 'تغيّر',
+  'tile.color.red': 'أحمر',
+  'tile.color.orange': 'برتقالي',
+  'tile.color.amber': 'كهرماني',
+  'tile.color.yellow': 'أصفر',
+  'tile.color.lime': 'ليموني',
+  'tile.color.green': 'أخضر',
+  'tile.color.teal': 'أخضر مزرق',
+  'tile.color.cyan': 'فيروزي',
+  'tile.color.sky': 'سماوي',
+  'tile.color.blue': 'أزرق',
+  'tile.color.indigo': 'نيلي',
+  'tile.color.violet': 'بنفسجي',
+  'tile.color.purple': 'أرجواني',
+  'tile.color.pink': 'وردي',
+  'tile.color.rose': 'قرمزي',
+  'tile.color.brown': 'بني',
+  'tile.color.tan': 'حنطي',
+  'tile.color.white': 'أبيض',
+  'tile.color.silver': 'فضي',
+  'tile.color.black': 'أسود',
+  'tile.color.navy': 'كحلي',
+  'tile.color.olive': 'زيتوني',
+  'tile.color.maroon': 'عنابي',
+  'tile.color.mint': 'نعناعي',
+  'tile.icon.anchor': 'مرساة',
+  'tile.icon.apple': 'تفاحة',
+  'tile.icon.bell': 'جرس',
+  'tile.icon.bicycle': 'دراجة',
+  'tile.icon.bolt': 'برق',
+  'tile.icon.book': 'كتاب',
+  'tile.icon.camera': 'كاميرا',
+  'tile.icon.car': 'سيارة',
+  'tile.icon.cat': 'قطة',
+  'tile.icon.cloud': 'غيمة',
+  'tile.icon.crown': 'تاج',
+  'tile.icon.dog': 'كلب',
+  'tile.icon.dragon': 'تنين',
+  'tile.icon.droplet': 'قطرة',
+  'tile.icon.feather': 'ريشة',
+  'tile.icon.fire': 'نار',
+  'tile.icon.fish': 'سمكة',
+  'tile.icon.flag': 'علم',
+  'tile.icon.gem': 'جوهرة',
+  'tile.icon.ghost': 'شبح',
+  'tile.icon.gift': 'هدية',
+  'tile.icon.globe': 'كرة أرضية',
+  'tile.icon.heart': 'قلب',
+  'tile.icon.house': 'بيت',
+  'tile.icon.key': 'مفتاح',
+  'tile.icon.leaf': 'ورقة شجر',
+  'tile.icon.lemon': 'ليمونة',
+  'tile.icon.lock': 'قفل',
+  'tile.icon.moon': 'قمر',
+  'tile.icon.mug': 'كوب',
+  'tile.icon.music': 'نغمة موسيقية',
+  'tile.icon.plane': 'طائرة',
+  'tile.icon.puzzle': 'قطعة أحجية',
+  'tile.icon.rocket': 'صاروخ',
+  'tile.icon.seedling': 'شتلة',
+  'tile.icon.snowflake': 'ندفة ثلج',
+  'tile.icon.star': 'نجمة',
+  'tile.icon.sun': 'شمس',
+  'tile.icon.tree': 'شجرة',
+  'tile.icon.umbrella': 'مظلة',
+  'tile.word.cat': 'قطة',
+  'tile.word.dog': 'كلب',
+  'tile.word.sun': 'شمس',
+  'tile.word.map': 'خريطة',
+  'tile.word.cup': 'كوب',
+  'tile.word.hat': 'قبعة',
+  'tile.word.pen': 'قلم',
+  'tile.word.box': 'صندوق',
+  'tile.word.key': 'مفتاح',
+  'tile.word.fox': 'ثعلب',
+  'tile.word.owl': 'بومة',
+  'tile.word.bee': 'نحلة',
+  'tile.word.jam': 'مربى',
+  'tile.word.ink': 'حبر',
+  'tile.word.oak': 'بلوط',
+  'tile.word.sea': 'بحر',
+  'tile.word.sky': 'سماء',
+  'tile.word.ice': 'ثلج',
+  'tile.word.egg': 'بيضة',
+  'tile.word.bus': 'حافلة',
+  'tile.word.leaf': 'ورقة',
+  'tile.word.rain': 'مطر',
+  'tile.word.star': 'نجمة',
+  'tile.word.moon': 'قمر',
+  'tile.word.fish': 'سمكة',
+  'tile.word.bird': 'طائر',
+  'tile.word.tree': 'شجرة',
+  'tile.word.rock': 'صخرة',
+  'tile.word.lamp': 'مصباح',
+  'tile.word.door': 'باب',
+  'tile.word.milk': 'حليب',
+  'tile.word.sand': 'رمل',
+  'tile.word.frog': 'ضفدع',
+  'tile.word.kite': 'طائرة ورقية',
+  'tile.word.bell': 'جرس',
+  'tile.word.ring': 'خاتم',
+  'tile.word.boat': 'قارب',
+  'tile.word.coin': 'عملة',
+  'tile.word.drum': 'طبل',
+  'tile.word.nest': 'عش',
+
+  'versus.title': 'مواجهة',
+  'versus.players': 'اللاعبون:',
+  'versus.playerName': 'اسم اللاعب {number}',
+  'versus.playerPlaceholder': 'اللاعب {number}',
+  'versus.removePlayer': 'إزالة اللاعب {number}',
+  'versus.addPlayer': 'إضافة لاعب',
+  'versus.difficultyAndTiles': 'الصعوبة والمربعات:',
+  'versus.turnsPerPlayer': 'الأدوار لكل لاعب:',
+  'versus.start': 'ابدأ المواجهة',
+  'versus.turn': 'الدور {turn} من {total}',
+  'versus.passDevice': 'سلّم الجهاز إلى {name}',
+  'versus.lookAway': 'على الجميع أن يشيحوا بنظرهم!',
+  'versus.ready': 'أنا {name}، ابدأ',
+  'versus.turnComplete': '{name}: اكتملت الجولة! +{score}',
+  'versus.turnMissed': 'فاتت {name}! {change}',
+  'versus.turnPartial': '{name}: وجد {found} من {count}، +{score}. {change}',
+  'versus.winner': 'فاز {name}!',
+  'versus.tie': 'تعادل: {names}!',
+  'versus.place': '{place}. {name}',
+  'versus.error.playerCount': 'تحتاج المواجهة من {min} إلى {max} لاعبين.',
+  'versus.error.emptyName': 'يحتاج كل لاعب إلى اسم.',
+  'versus.error.longName': 'يمكن أن يتكون الاسم من {max} حرفًا على الأكثر.',
+  'versus.error.duplicateName': 'يحتاج كل لاعب إلى اسم مختلف.',
+
+  'custom.title': 'لعبة مخصصة',
+  'custom.numbers': 'الأرقام على المربعات:',
+  'custom.from': 'من',
+  'custom.to': 'إلى',
+  'custom.poolStyle.any': 'كل الأرقام',
+  'custom.poolStyle.lookalike': 'أرقام متشابهة',
+  'custom.numbersOnly': 'تُستخدم مع مجموعة الأرقام فقط.',
+  'custom.tiles': 'المربعات',
+  'custom.memorize': 'الحفظ (ث)',
+  'custom.recallLimit': 'مهلة للإجابة',
+  'custom.answerWithin': 'أجب خلال (ث)',
+  'custom.play': 'احفظ والعب',
+  'custom.error.number': 'اختر عددًا صحيحًا من {min} إلى {max}.',
+  'custom.error.poolOrder': 'يجب أن يكون أكبر من أصغر رقم.',
+  'custom.error.poolStyle': 'مجموعة أرقام غير معروفة.',
+  'custom.error.tiles': 'اختر من {min} إلى {max} مربعًا.',
+  'custom.error.seconds': 'اختر من {min} إلى {max} ثانية.',
+  'custom.error.recallSeconds': 'اختر من {min} إلى {max} ثانية، أو بلا مهلة.',
+  'custom.error.poolSize': 'في هذه المجموعة {size} رقمًا؛ و{tiles} مربعًا تحتاج إلى {needed} على الأقل.',
+  'custom.error.tileSetSize': 'لوحات {tileSet} تتسع لـ{max} مربعًا على الأكثر.',
+
+  'settings.tiles': 'اختر المربعات:',
+  'settings.changeType': 'كيف تتغير اللوحة:',
+  'settings.changeCount': 'المربعات المتغيرة في كل جولة:',
+  'settings.changeCountUnused': 'المربعات المتغيرة في كل جولة (لا تُستخدم مع هذا النوع من التغيير):',
+  'settings.byDifficulty': 'حسب الصعوبة',
+  'settings.lives': 'الأرواح في كل لعبة:',
+  'settings.suddenDeath': '{count} (موت مفاجئ)',
+  'settings.sound': 'الصوت والاهتزاز:',
+  'settings.mute': 'كتم',
+  'settings.muted': 'مكتوم',
+  'settings.volume': 'مستوى الصوت',
+  'settings.language': 'اللغة:',
+  'settings.theme': 'المظهر:',
+  'theme.system': 'مثل النظام',
+  'theme.dark': 'داكن',
+  'theme.light': 'فاتح',
+  'theme.highContrast': 'تباين عالٍ',
+  'theme.colorblind': 'مناسب لعمى الألوان',
+  'update.available': 'إصدار جديد من اللعبة جاهز.',
+  'update.reload': 'إعادة التحميل',
+  'update.later': 'لاحقًا',
+  'offline.unavailable': 'اللعب دون اتصال غير متاح في هذا المتصفح؛ تحتاج اللعبة إلى اتصال.',
+  'offline.dismiss': 'حسنًا',
+
+  'stats.title': 'إحصاءاتك',
+  'stats.bestScore': 'أفضل نتيجة',
+  'stats.bestStreak': 'أطول سلسلة',
+  'stats.gamesPlayed': 'الألعاب',
+  'stats.difficulty': 'الصعوبة',
+  'stats.rounds': 'الجولات',
+  'stats.accuracy': 'الدقة',
+  'stats.averageAnswer': 'متوسط الإجابة',
+  'stats.recentGames': 'آخر الألعاب',
+  'stats.noGames': 'لم تلعب أي لعبة بعد.',
+  'stats.date': 'التاريخ',
+  'stats.result': 'النتيجة',
+  'stats.score': 'النقاط',
+  'stats.daily': 'يومي',
+  'stats.won': 'فوز',
+  'stats.lost': 'خسارة',
+  'stats.completed': 'مكتملة',
+  'stats.adaptiveLevel': 'المستوى التكيفي',
+  'stats.adaptiveLevelValue': 'المستوى التكيفي: {level} / {max}',
+  'stats.noLevelChanges': 'لا تغييرات في المستوى بعد.',
+  'stats.level': 'المستوى',
+  'stats.why': 'السبب',
+  'stats.newBoard': 'اللوحة الجديدة',
+  'stats.boardDetails': '{tiles} مربعات · {seconds}',
+  'stats.reason.miss': 'جولة فائتة',
+  'stats.reason.streak': 'سلسلة إجابات صحيحة',
+  'stats.practice': 'التدريب',
+  'stats.noPractice': 'لا جولات تدريب بعد.',
+  'stats.practiceSummary': {
+    one: 'جولة واحدة · الإجابات الصحيحة {accuracy} · متوسط الدراسة {seconds}',
+    two: 'جولتان · الإجابات الصحيحة {accuracy} · متوسط الدراسة {seconds}',
+    other: '{count} جولات · الإجابات الصحيحة {accuracy} · متوسط الدراسة {seconds}',
+  },
+  'stats.reset': 'مسح الإحصاءات',
+
+  'review.title': 'مراجعة الجولة',
+  'review.original': 'الأصل',
+  'review.recall': 'التذكر',
+  'review.change.swap': 'أخذ {current} مكان {previous}',
+  'review.change.remove': 'أُزيل {previous} وملأ {current} مكانه',
+  'review.change.replace': 'استُبدل {previous} بـ{current}',
+  'review.found': '{change} (وُجد)',
+  'review.missed': '{change} (فات)',
+  'review.wrongPick': 'اخترت {tile}، ولم يتغير',
+  'review.noPick': 'لم تختر أي مربع.',
+  'mistakes.title': 'الأخطاء',
+  'mistakes.previous': 'السابق',
+  'mistakes.next': 'التالي',
+  'mistakes.position': 'الخطأ {position} من {total}',
+  'mistakes.none': 'لا أخطاء في هذه الجلسة بعد. أحسنت!',
+  'mistakes.dailyLabel': 'تحدي اليوم {date} · اللوحة {board}',
+  'mistakes.label': '{difficulty} · اللوحة {board} · {changeType}',
+};
+
+export const MESSAGES = { en, es, ar };
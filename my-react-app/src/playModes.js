@@ -0,0 +1,37 @@
+// Play modes.
+// A mode decides the clocks of a round's two phases, memorize and recall; the rounds
+// themselves and the gameState machine are the same in every mode. A phase with no limit
+// (`null`) has no timer: the memorize phase then ends when the player flips the board, and
+// the recall phase when they submit. Mode names and descriptions live in the message catalog
+// (`mode.<id>.label`, `mode.<id>.description`).
+
+// Recall time in Time Attack, per difficulty
+export const TIME_ATTACK_RECALL_MS = { easy: 8000, medium: 10000, hard: 12000 };
+
+// Recall time in Practice; more generous than Time Attack, since the board was studied untimed
+export const PRACTICE_RECALL_MS = 20000;
+
+// Each mode's `phaseLimits` gets the round's regular memorize time, the game's own recall
+// limit (custom games may set one) and the difficulty the board plays at
+export const PLAY_MODES = {
+  classic: {
+    id: 'classic',
+    phaseLimits: ({ memorizeMs, recallLimitMs }) => ({ memorizeMs, recallMs: recallLimitMs }),
+  },
+  practice: {
+    id: 'practice',
+    phaseLimits: ({ recallLimitMs }) => ({ memorizeMs: null, recallMs: recallLimitMs ?? PRACTICE_RECALL_MS }),
+  },
+  timeAttack: {
+    id: 'timeAttack',
+    phaseLimits: ({ memorizeMs, recallLimitMs, difficulty }) => ({
+      memorizeMs,
+      recallMs: recallLimitMs ?? TIME_ATTACK_RECALL_MS[difficulty] ?? TIME_ATTACK_RECALL_MS.hard,
+    }),
+  },
+};
+
+export const DEFAULT_PLAY_MODE = 'classic';
+
+// Unknown ids (e.g. from an older share link) play as classic
+export const getPlayMode = (id) => PLAY_MODES[id] || PLAY_MODES[DEFAULT_PLAY_MODE];
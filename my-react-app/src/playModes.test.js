@@ -0,0 +1,24 @@
+import { getPlayMode, PLAY_MODES, PRACTICE_RECALL_MS, TIME_ATTACK_RECALL_MS } from './playModes';
+
+const round = { memorizeMs: 8000, recallLimitMs: null, difficulty: 'medium' };
+
+test('classic times the memorize phase only', () => {
+  expect(PLAY_MODES.classic.phaseLimits(round)).toEqual({ memorizeMs: 8000, recallMs: null });
+  expect(PLAY_MODES.classic.phaseLimits({ ...round, recallLimitMs: 20000 }).recallMs).toBe(20000);
+});
+
+test('practice leaves memorizing untimed but times the recall phase', () => {
+  expect(PLAY_MODES.practice.phaseLimits(round)).toEqual({ memorizeMs: null, recallMs: PRACTICE_RECALL_MS });
+  expect(PLAY_MODES.practice.phaseLimits({ ...round, recallLimitMs: 5000 }).recallMs).toBe(5000);
+});
+
+test('time attack adds a recall clock by difficulty unless the game sets its own', () => {
+  expect(PLAY_MODES.timeAttack.phaseLimits(round)).toEqual({ memorizeMs: 8000, recallMs: TIME_ATTACK_RECALL_MS.medium });
+  expect(PLAY_MODES.timeAttack.phaseLimits({ ...round, difficulty: 'custom' }).recallMs).toBe(TIME_ATTACK_RECALL_MS.hard);
+  expect(PLAY_MODES.timeAttack.phaseLimits({ ...round, recallLimitMs: 5000 }).recallMs).toBe(5000);
+});
+
+test('unknown modes play as classic', () => {
+  expect(getPlayMode('sprint')).toBe(PLAY_MODES.classic);
+  expect(getPlayMode(undefined)).toBe(PLAY_MODES.classic);
+});
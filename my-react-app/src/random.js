@@ -0,0 +1,42 @@
+// Seedable random number helpers.
+// Every shuffle and pick in the game goes through an `rng` function with the same
+// contract as Math.random (returns a float in [0, 1)), so a round can be replayed
+// exactly by recreating the generator from the same seed.
+
+// Hash any string into a 32-bit unsigned integer (FNV-1a)
+export const hashSeed = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Create a deterministic generator (mulberry32) from a string or number seed
+export const createRng = (seed) => {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Random integer in [0, max)
+export const randomInt = (rng, max) => Math.floor(rng() * max);
+
+// Return a shuffled copy of `items` (Fisher-Yates, unbiased unlike sort(() => 0.5 - Math.random()))
+export const shuffle = (items, rng) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = randomInt(rng, i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Short random seed for a fresh (but still shareable) game
+export const generateSeed = () => Math.random().toString(36).slice(2, 10);
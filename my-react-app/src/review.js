@@ -0,0 +1,48 @@
+import { checkRoundAnswer } from './game';
+import { defaultTranslator } from './i18n';
+
+// Post-round review.
+// A review pairs every changed tile of a round with what the original board showed there and
+// whether the player found it, and lists the picks that weren't changes. Reviews are plain
+// data, so the session's mistakes can be kept and stepped through after the game moved on.
+
+// Mistakes kept per session; the oldest go first
+export const MAX_SESSION_MISTAKES = 50;
+
+// `round` is a round as built by createOddOneOutRound (with the change type resolved)
+export const buildRoundReview = (round, selectedIndices) => {
+  const { hits, falsePositives } = checkRoundAnswer(round, selectedIndices);
+  const changes = round.changedIndices.map((recallIndex, i) => ({
+    recallIndex,
+    originalIndex: round.originalNumbers.indexOf(round.previousValues[i]),
+    previous: round.previousValues[i],
+    current: round.recallNumbers[recallIndex],
+    found: hits.includes(recallIndex),
+  }));
+  return {
+    changeType: round.changeType,
+    originalNumbers: round.originalNumbers,
+    recallNumbers: round.recallNumbers,
+    selectedIndices,
+    changes,
+    wrongPicks: falsePositives.map(recallIndex => ({ recallIndex, value: round.recallNumbers[recallIndex] })),
+    isMistake: falsePositives.length > 0 || changes.some(change => !change.found),
+  };
+};
+
+// One line per change, e.g. "42 was replaced by 87"; `describe` names a tile value
+export const describeReviewChange = (changeType, change, describe, t = defaultTranslator) => {
+  const params = { previous: describe(change.previous), current: describe(change.current) };
+  switch (changeType) {
+    case 'swap':
+      return t('review.change.swap', params);
+    case 'remove':
+      return t('review.change.remove', params);
+    default:
+      return t('review.change.replace', params);
+  }
+};
+
+// Add a round's review to the session's mistake list if anything went wrong in it
+export const addSessionMistake = (mistakes, entry, limit = MAX_SESSION_MISTAKES) =>
+  (entry.review.isMistake ? [...mistakes, entry].slice(-limit) : mistakes);
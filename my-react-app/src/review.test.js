@@ -0,0 +1,47 @@
+import { createRng } from './random';
+import { createOddOneOutRound } from './game';
+import { addSessionMistake, buildRoundReview, describeReviewChange } from './review';
+
+test('each change is paired with what the original board showed and where', () => {
+  const round = createOddOneOutRound(9, createRng('review'), { changeCount: 2 });
+  const [first, second] = round.changedIndices;
+  const review = buildRoundReview(round, [first]);
+
+  expect(review.changes).toHaveLength(2);
+  review.changes.forEach(change => {
+    expect(round.originalNumbers[change.originalIndex]).toBe(change.previous);
+    expect(round.recallNumbers[change.recallIndex]).toBe(change.current);
+  });
+  expect(review.changes.map(change => change.found)).toEqual([true, false]);
+  expect(review.changes[1].recallIndex).toBe(second);
+  expect(review.isMistake).toBe(true);
+});
+
+test('picks that were not changes are listed as wrong picks', () => {
+  const round = createOddOneOutRound(9, createRng('review-wrong'));
+  const unchanged = round.recallNumbers.findIndex((_, index) => !round.changedIndices.includes(index));
+  const review = buildRoundReview(round, [round.changedIndices[0], unchanged]);
+  expect(review.wrongPicks).toEqual([{ recallIndex: unchanged, value: round.recallNumbers[unchanged] }]);
+  expect(review.isMistake).toBe(true);
+});
+
+test('a round where everything was found is not a mistake', () => {
+  const round = createOddOneOutRound(9, createRng('review-clean'), { changeType: 'swap' });
+  const review = buildRoundReview(round, round.changedIndices);
+  expect(review.isMistake).toBe(false);
+  expect(addSessionMistake([], { review })).toEqual([]);
+});
+
+test('remove rounds point at the removed tile on the original board', () => {
+  const round = createOddOneOutRound(9, createRng('review-remove'), { changeType: 'remove' });
+  const [change] = buildRoundReview(round, []).changes;
+  expect(change.originalIndex).toBe(round.changedIndices[0]);
+  expect(describeReviewChange('remove', change, String)).toBe(`${change.previous} was removed and ${change.current} filled the gap`);
+  expect(describeReviewChange('replace', { previous: 42, current: 87 }, String)).toBe('42 was replaced by 87');
+});
+
+test('the session mistake list keeps only the most recent entries', () => {
+  const entry = (label) => ({ label, review: { isMistake: true } });
+  const mistakes = [1, 2, 3].reduce((list, id) => addSessionMistake(list, entry(id), 2), []);
+  expect(mistakes.map(mistake => mistake.label)).toEqual([2, 3]);
+});
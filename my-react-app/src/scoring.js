@@ -0,0 +1,85 @@
+import { defaultTranslator } from './i18n';
+
+// Scoring rules.
+// A round earns base points plus bonuses for board size, extra changed tiles and answer
+// speed, then gets multiplied by the difficulty and by the current streak. When several
+// tiles changed, only the share that was found counts, and every wrong pick costs points.
+// All numbers live in SCORING_RULES so the balance can be tuned here without touching the UI.
+
+export const SCORING_RULES = {
+  basePoints: 20,
+  minTiles: 4, // Boards bigger than this earn a tile bonus
+  pointsPerExtraTile: 2,
+  pointsPerExtraChange: 10, // Each changed tile beyond the first
+  falsePositivePenalty: 10, // Per selected tile that had not changed
+  speedBonusMax: 15, // Earned for an instant answer...
+  speedBonusWindowMs: 10000, // ...and shrinking linearly to 0 after this long in recall
+  difficultyMultipliers: { easy: 1, medium: 1.5, hard: 2 },
+  streakStep: 0.1, // Each earlier correct round in a row adds 10%...
+  maxStreakMultiplier: 2, // ...up to double points
+  scoreToWin: 100,
+};
+
+export const TOTAL_SCORE_TO_WIN = SCORING_RULES.scoreToWin;
+
+// Bonus for every tile beyond the smallest board
+export const getTileBonus = (numTiles, rules = SCORING_RULES) =>
+  Math.max(0, numTiles - rules.minTiles) * rules.pointsPerExtraTile;
+
+// Bonus for answering quickly in the recall phase
+export const getSpeedBonus = (responseTimeMs, rules = SCORING_RULES) => {
+  const remaining = 1 - Math.max(0, responseTimeMs) / rules.speedBonusWindowMs;
+  return Math.round(rules.speedBonusMax * Math.max(0, remaining));
+};
+
+// Bonus for rounds with more than one changed tile
+export const getChangeBonus = (changeCount, rules = SCORING_RULES) =>
+  Math.max(0, changeCount - 1) * rules.pointsPerExtraChange;
+
+export const getDifficultyMultiplier = (difficulty, rules = SCORING_RULES) =>
+  rules.difficultyMultipliers[difficulty] ?? 1;
+
+// `streak` is the number of correct rounds in a row *before* this one
+export const getStreakMultiplier = (streak, rules = SCORING_RULES) =>
+  Math.min(rules.maxStreakMultiplier, 1 + streak * rules.streakStep);
+
+// Full breakdown of a round's score; `total` is what gets added to the game score.
+// `hits` is how many of the round's `changeCount` changes were found (see countChanges in
+// game.js) and `falsePositives` how many unchanged tiles were selected.
+export const calculateRoundScore = ({ hits, falsePositives = 0, changeCount = 1, responseTimeMs, numTiles, difficulty, streak }, rules = SCORING_RULES) => {
+  if (hits === 0) {
+    return {
+      base: 0, tileBonus: 0, changeBonus: 0, speedBonus: 0, difficultyMultiplier: 1, streakMultiplier: 1,
+      credit: 0, penalty: 0, total: 0,
+    };
+  }
+  const base = rules.basePoints;
+  const tileBonus = getTileBonus(numTiles, rules);
+  const changeBonus = getChangeBonus(changeCount, rules);
+  const speedBonus = getSpeedBonus(responseTimeMs, rules);
+  const difficultyMultiplier = getDifficultyMultiplier(difficulty, rules);
+  const streakMultiplier = getStreakMultiplier(streak, rules);
+  const credit = hits / changeCount; // Partial credit for finding only some of the changed tiles
+  const penalty = falsePositives * rules.falsePositivePenalty;
+  const earned = (base + tileBonus + changeBonus + speedBonus) * difficultyMultiplier * streakMultiplier * credit;
+  const total = Math.max(0, Math.round(earned) - penalty);
+
+  return { base, tileBonus, changeBonus, speedBonus, difficultyMultiplier, streakMultiplier, credit, penalty, total };
+};
+
+// Lines for the round-result modal, worded and formatted by `t`; the multi-tile lines only
+// show when they apply
+export const describeScoreBreakdown = (breakdown, t = defaultTranslator) => {
+  const format = (value) => t.formatNumber(Number(value.toFixed(2)));
+  return [
+    { label: t('score.base'), value: `+${format(breakdown.base)}` },
+    { label: t('score.tileBonus'), value: `+${format(breakdown.tileBonus)}` },
+    ...(breakdown.changeBonus > 0 ? [{ label: t('score.changeBonus'), value: `+${format(breakdown.changeBonus)}` }] : []),
+    { label: t('score.speedBonus'), value: `+${format(breakdown.speedBonus)}` },
+    { label: t('score.difficulty'), value: `×${format(breakdown.difficultyMultiplier)}` },
+    { label: t('score.streak'), value: `×${format(breakdown.streakMultiplier)}` },
+    ...(breakdown.credit < 1 ? [{ label: t('score.credit'), value: `×${format(breakdown.credit)}` }] : []),
+    ...(breakdown.penalty > 0 ? [{ label: t('score.penalty'), value: `-${format(breakdown.penalty)}` }] : []),
+    { label: t('score.total'), value: format(breakdown.total) },
+  ];
+};
@@ -0,0 +1,50 @@
+import {
+  calculateRoundScore,
+  describeScoreBreakdown,
+  getSpeedBonus,
+  getStreakMultiplier,
+  getTileBonus,
+  SCORING_RULES,
+} from './scoring';
+
+test('a wrong pick scores nothing', () => {
+  expect(calculateRoundScore({ hits: 0, responseTimeMs: 100, numTiles: 16, difficulty: 'hard', streak: 5 }).total).toBe(0);
+});
+
+test('speed bonus shrinks linearly and never goes negative', () => {
+  expect(getSpeedBonus(0)).toBe(SCORING_RULES.speedBonusMax);
+  expect(getSpeedBonus(SCORING_RULES.speedBonusWindowMs / 2)).toBe(Math.round(SCORING_RULES.speedBonusMax / 2));
+  expect(getSpeedBonus(SCORING_RULES.speedBonusWindowMs * 3)).toBe(0);
+});
+
+test('bigger boards earn a tile bonus', () => {
+  expect(getTileBonus(SCORING_RULES.minTiles)).toBe(0);
+  expect(getTileBonus(SCORING_RULES.minTiles + 3)).toBe(3 * SCORING_RULES.pointsPerExtraTile);
+});
+
+test('streak multiplier grows per correct round and is capped', () => {
+  expect(getStreakMultiplier(0)).toBe(1);
+  expect(getStreakMultiplier(2)).toBeCloseTo(1.2);
+  expect(getStreakMultiplier(100)).toBe(SCORING_RULES.maxStreakMultiplier);
+});
+
+test('round score combines bonuses and multipliers', () => {
+  const rules = { ...SCORING_RULES, speedBonusMax: 10, speedBonusWindowMs: 10000 };
+  const breakdown = calculateRoundScore({ hits: 1, responseTimeMs: 5000, numTiles: 8, difficulty: 'medium', streak: 2 }, rules);
+  // (20 base + 8 tile + 5 speed) * 1.5 difficulty * 1.2 streak
+  expect(breakdown).toMatchObject({ base: 20, tileBonus: 8, speedBonus: 5, difficultyMultiplier: 1.5 });
+  expect(breakdown.total).toBe(59);
+  expect(describeScoreBreakdown(breakdown).map(line => line.value)).toEqual(['+20', '+8', '+5', '×1.5', '×1.2', '59']);
+});
+
+test('multi-tile rounds give partial credit and charge for wrong picks', () => {
+  const round = { changeCount: 2, responseTimeMs: 10000, numTiles: 4, difficulty: 'easy', streak: 0 };
+  // (20 base + 10 extra change) = 30 for finding both
+  expect(calculateRoundScore({ ...round, hits: 2 }).total).toBe(30);
+  // Half the credit for one of two, minus one wrong pick
+  const partial = calculateRoundScore({ ...round, hits: 1, falsePositives: 1 });
+  expect(partial.total).toBe(15 - SCORING_RULES.falsePositivePenalty);
+  expect(describeScoreBreakdown(partial).map(line => line.label)).toContain('Wrong picks');
+  // The penalty never pushes a round below zero
+  expect(calculateRoundScore({ ...round, changeCount: 3, hits: 1, falsePositives: 2 }).total).toBe(0);
+});
@@ -0,0 +1,70 @@
+/* eslint-disable no-restricted-globals */
+import { hashSeed } from './random';
+
+// Service worker (production builds only, registered from serviceWorkerRegistration.js).
+// The build step (react-scripts' InjectManifest) replaces `self.__WB_MANIFEST` with every file
+// it emitted, as { url, revision }; revision is null for files with a hash in their name. They
+// are all cached on install, and then served from the cache before the network, so the game
+// loads and plays with no connection. A new build gives a new cache name; the new worker waits
+// until the player accepts the in-app update prompt (SKIP_WAITING), then drops the old cache.
+
+const PUBLIC_URL = process.env.PUBLIC_URL;
+
+// Files copied from public/, which the build step does not list
+const PUBLIC_FILES = ['/favicon.ico', '/manifest.json', '/icon-192.png', '/icon-512.png', '/icon-maskable-512.png'];
+
+const PRECACHE_ENTRIES = [
+  ...self.__WB_MANIFEST,
+  ...PUBLIC_FILES.map(file => ({ url: PUBLIC_URL + file, revision: null })),
+];
+
+const CACHE_PREFIX = 'odd-one-out-';
+const CACHE_NAME = `${CACHE_PREFIX}${hashSeed(JSON.stringify(PRECACHE_ENTRIES)).toString(36)}`;
+
+// Every screen is drawn by the app, so any page URL is answered with index.html (the app shell)
+const APP_SHELL_URL = `${PUBLIC_URL}/index.html`;
+
+const toAbsoluteUrl = (url) => new URL(url, self.location.href).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache =>
+      // `reload` skips the browser's HTTP cache, so a changed file without a hash is never stale
+      cache.addAll(PRECACHE_ENTRIES.map(entry => new Request(toAbsoluteUrl(entry.url), { cache: 'reload' })))
+    )
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names
+          .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+          .map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Cache first, then the network. Page loads get the app shell, except URLs that look like files.
+const isPageRequest = (request, url) => request.mode === 'navigate' && !url.pathname.match(/\/[^/?]+\.[^/]+$/);
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  const cacheKey = isPageRequest(request, url) ? toAbsoluteUrl(APP_SHELL_URL) : request;
+  event.respondWith(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.match(cacheKey))
+      .then(cached => cached || fetch(request))
+  );
+});
@@ -0,0 +1,49 @@
+// Service worker registration (see service-worker.js).
+// Only production builds register the worker (a development server would be served from a
+// stale cache); browsers allow it on https and on localhost, so `npm run build` served
+// locally works offline. An update is a new worker that finished installing while an older
+// one still runs the page: the app is told with `onUpdate(registration)` and asks the player
+// before switching, since reloading would end a round in progress.
+
+// Call `onUpdate(registration)` whenever `registration` has an installed update waiting
+export const watchForUpdates = (registration, onUpdate, serviceWorker = navigator.serviceWorker) => {
+  // The first install on a page is not an update: nothing controlled the page before it
+  const notifyIfWaiting = () => {
+    if (registration.waiting && serviceWorker.controller) onUpdate(registration);
+  };
+
+  notifyIfWaiting(); // An update left waiting on an earlier visit
+  registration.addEventListener('updatefound', () => {
+    const installing = registration.installing;
+    if (!installing) return;
+    installing.addEventListener('statechange', () => {
+      if (installing.state === 'installed') notifyIfWaiting();
+    });
+  });
+};
+
+// Register the worker now; a failed registration goes to `onError` and the game runs without
+// offline support
+export const registerWorker = ({ onUpdate, onError = () => {} }, serviceWorker = navigator.serviceWorker) =>
+  serviceWorker
+    .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+    .then(registration => watchForUpdates(registration, onUpdate, serviceWorker))
+    .catch(onError);
+
+// Register production builds once the page has loaded; `callbacks` are those of registerWorker
+export const registerServiceWorker = (callbacks) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  const register = () => registerWorker(callbacks);
+
+  // Registering after the page has loaded keeps the precache downloads off the first paint
+  if (document.readyState === 'complete') register();
+  else window.addEventListener('load', register, { once: true });
+};
+
+// Switch to the waiting worker, then reload once it controls the page
+export const applyUpdate = (registration, serviceWorker = navigator.serviceWorker, reload = () => window.location.reload()) => {
+  if (!registration.waiting) return;
+  serviceWorker.addEventListener('controllerchange', () => reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,59 @@
+import { applyUpdate, registerWorker, watchForUpdates } from './serviceWorkerRegistration';
+
+// Stand-ins for ServiceWorkerRegistration / ServiceWorker / ServiceWorkerContainer
+const fakeWorker = (state = 'installing') => Object.assign(new EventTarget(), { state, postMessage: jest.fn() });
+const fakeRegistration = (fields = {}) => Object.assign(new EventTarget(), { waiting: null, installing: null, ...fields });
+const fakeContainer = (controller) => Object.assign(new EventTarget(), { controller });
+
+const finishInstalling = (registration, worker) => {
+  registration.installing = worker;
+  registration.dispatchEvent(new Event('updatefound'));
+  worker.state = 'installed';
+  registration.waiting = worker;
+  worker.dispatchEvent(new Event('statechange'));
+};
+
+test('a new version that finishes installing under an older one is offered as an update', () => {
+  const onUpdate = jest.fn();
+  const registration = fakeRegistration();
+  watchForUpdates(registration, onUpdate, fakeContainer(fakeWorker('activated')));
+  expect(onUpdate).not.toHaveBeenCalled();
+
+  finishInstalling(registration, fakeWorker());
+  expect(onUpdate).toHaveBeenCalledWith(registration);
+});
+
+test('the first install is not an update, but a version left waiting from an earlier visit is', () => {
+  const firstInstall = jest.fn();
+  const registration = fakeRegistration();
+  watchForUpdates(registration, firstInstall, fakeContainer(null));
+  finishInstalling(registration, fakeWorker());
+  expect(firstInstall).not.toHaveBeenCalled();
+
+  const leftWaiting = jest.fn();
+  watchForUpdates(fakeRegistration({ waiting: fakeWorker('installed') }), leftWaiting, fakeContainer(fakeWorker('activated')));
+  expect(leftWaiting).toHaveBeenCalledTimes(1);
+});
+
+test('applying an update activates the waiting version and reloads once it takes over', () => {
+  const waiting = fakeWorker('installed');
+  const container = fakeContainer(fakeWorker('activated'));
+  const reload = jest.fn();
+  applyUpdate(fakeRegistration({ waiting }), container, reload);
+
+  expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+  expect(reload).not.toHaveBeenCalled();
+  container.dispatchEvent(new Event('controllerchange'));
+  expect(reload).toHaveBeenCalledTimes(1);
+});
+
+test('a failed registration is passed to onError', async () => {
+  const error = new Error('SecurityError');
+  const container = Object.assign(fakeContainer(null), { register: jest.fn(() => Promise.reject(error)) });
+  const onUpdate = jest.fn();
+  const onError = jest.fn();
+  await registerWorker({ onUpdate, onError }, container);
+
+  expect(onError).toHaveBeenCalledWith(error);
+  expect(onUpdate).not.toHaveBeenCalled();
+});
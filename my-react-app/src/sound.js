@@ -0,0 +1,134 @@
+import { readStorage, writeStorage } from './storage';
+
+// Sound effects and haptics.
+// Every sound is a short sequence of tones generated with Web Audio, so there is nothing to
+// download. The audio context is only created on the first sound (browsers block audio until
+// the player has interacted with the page). Where Web Audio or `navigator.vibrate` is missing
+// (older browsers, jsdom under Jest) that half of the feedback is skipped.
+
+// Tones: { frequency (Hz), startMs, durationMs, type (oscillator wave) }. Vibration patterns are in ms.
+export const SOUND_EFFECTS = {
+  tick: {
+    tones: [{ frequency: 880, startMs: 0, durationMs: 60, type: 'square' }],
+    vibration: 10,
+  },
+  recall: {
+    tones: [
+      { frequency: 440, startMs: 0, durationMs: 100, type: 'triangle' },
+      { frequency: 660, startMs: 100, durationMs: 140, type: 'triangle' },
+    ],
+    vibration: 30,
+  },
+  select: {
+    tones: [{ frequency: 660, startMs: 0, durationMs: 70, type: 'sine' }],
+    vibration: 15,
+  },
+  correct: {
+    tones: [
+      { frequency: 523, startMs: 0, durationMs: 110, type: 'sine' },
+      { frequency: 659, startMs: 100, durationMs: 110, type: 'sine' },
+      { frequency: 784, startMs: 200, durationMs: 200, type: 'sine' },
+    ],
+    vibration: 40,
+  },
+  wrong: {
+    tones: [
+      { frequency: 220, startMs: 0, durationMs: 180, type: 'sawtooth' },
+      { frequency: 165, startMs: 170, durationMs: 280, type: 'sawtooth' },
+    ],
+    vibration: [80, 60, 80],
+  },
+  champion: {
+    tones: [
+      { frequency: 523, startMs: 0, durationMs: 120, type: 'square' },
+      { frequency: 659, startMs: 120, durationMs: 120, type: 'square' },
+      { frequency: 784, startMs: 240, durationMs: 120, type: 'square' },
+      { frequency: 1047, startMs: 360, durationMs: 420, type: 'square' },
+    ],
+    vibration: [60, 40, 60, 40, 160],
+  },
+};
+
+// Muting silences both sound and vibration; volume runs from 0 to 1
+export const DEFAULT_SOUND_SETTINGS = { muted: false, volume: 0.6 };
+
+const SOUND_SETTINGS_KEY = 'sound-settings';
+
+export const loadSoundSettings = () => {
+  const saved = readStorage(SOUND_SETTINGS_KEY, {});
+  return {
+    muted: typeof saved.muted === 'boolean' ? saved.muted : DEFAULT_SOUND_SETTINGS.muted,
+    volume: typeof saved.volume === 'number' && saved.volume >= 0 && saved.volume <= 1
+      ? saved.volume
+      : DEFAULT_SOUND_SETTINGS.volume,
+  };
+};
+
+export const saveSoundSettings = (settings) => writeStorage(SOUND_SETTINGS_KEY, settings);
+
+const createBrowserAudioContext = () => {
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  return AudioContextClass ? new AudioContextClass() : null;
+};
+
+const browserVibrate = (pattern) => {
+  if (typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function') {
+    navigator.vibrate(pattern);
+  }
+};
+
+// Schedule one tone with a quick fade in and out, so it doesn't click
+const scheduleTone = (context, output, { frequency, startMs, durationMs, type }) => {
+  const start = context.currentTime + startMs / 1000;
+  const end = start + durationMs / 1000;
+  const oscillator = context.createOscillator();
+  const envelope = context.createGain();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(frequency, start);
+  envelope.gain.setValueAtTime(0.0001, start);
+  envelope.gain.exponentialRampToValueAtTime(1, start + 0.01);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+  oscillator.connect(envelope);
+  envelope.connect(output);
+  oscillator.start(start);
+  oscillator.stop(end);
+};
+
+// Player for SOUND_EFFECTS. The audio and vibration backends can be swapped out for tests;
+// when they aren't available `play` does nothing.
+export const createSoundPlayer = ({ createAudioContext = createBrowserAudioContext, vibrate = browserVibrate } = {}) => {
+  let settings = DEFAULT_SOUND_SETTINGS;
+  let context;
+
+  const getContext = () => {
+    if (context === undefined) {
+      try {
+        context = createAudioContext();
+      } catch (error) {
+        context = null; // Audio blocked or unsupported: stay silent
+      }
+    }
+    return context;
+  };
+
+  const play = (effectId) => {
+    const effect = SOUND_EFFECTS[effectId];
+    if (!effect || settings.muted) return;
+    vibrate(effect.vibration);
+
+    const audio = settings.volume > 0 ? getContext() : null;
+    if (!audio) return;
+    if (audio.state === 'suspended') audio.resume();
+    const output = audio.createGain();
+    output.gain.value = settings.volume;
+    output.connect(audio.destination);
+    effect.tones.forEach(tone => scheduleTone(audio, output, tone));
+  };
+
+  return {
+    play,
+    updateSettings: (nextSettings) => {
+      settings = nextSettings;
+    },
+  };
+};
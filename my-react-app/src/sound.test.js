@@ -0,0 +1,64 @@
+import { createSoundPlayer, loadSoundSettings, saveSoundSettings, DEFAULT_SOUND_SETTINGS, SOUND_EFFECTS } from './sound';
+
+// Minimal stand-in for an AudioContext that records what gets scheduled
+const createFakeAudioContext = () => {
+  const param = () => ({ value: 0, setValueAtTime: jest.fn(), exponentialRampToValueAtTime: jest.fn() });
+  const context = {
+    currentTime: 0,
+    state: 'running',
+    destination: {},
+    oscillators: [],
+    gains: [],
+    createOscillator: () => {
+      const oscillator = { frequency: param(), connect: jest.fn(), start: jest.fn(), stop: jest.fn() };
+      context.oscillators.push(oscillator);
+      return oscillator;
+    },
+    createGain: () => {
+      const gain = { gain: param(), connect: jest.fn() };
+      context.gains.push(gain);
+      return gain;
+    },
+  };
+  return context;
+};
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('each effect schedules its tones at the chosen volume and vibrates', () => {
+  const context = createFakeAudioContext();
+  const vibrate = jest.fn();
+  const player = createSoundPlayer({ createAudioContext: () => context, vibrate });
+  player.updateSettings({ muted: false, volume: 0.3 });
+
+  player.play('champion');
+  expect(context.oscillators).toHaveLength(SOUND_EFFECTS.champion.tones.length);
+  expect(context.gains[0].gain.value).toBe(0.3); // The output stage carries the volume
+  expect(vibrate).toHaveBeenCalledWith(SOUND_EFFECTS.champion.vibration);
+});
+
+test('muting silences sound and vibration', () => {
+  const createAudioContext = jest.fn(createFakeAudioContext);
+  const vibrate = jest.fn();
+  const player = createSoundPlayer({ createAudioContext, vibrate });
+  player.updateSettings({ muted: true, volume: 1 });
+
+  player.play('wrong');
+  expect(createAudioContext).not.toHaveBeenCalled();
+  expect(vibrate).not.toHaveBeenCalled();
+});
+
+test('without Web Audio or vibration, playing does nothing', () => {
+  const player = createSoundPlayer(); // jsdom has neither
+  expect(() => ['tick', 'recall', 'select', 'correct', 'wrong', 'champion'].forEach(player.play)).not.toThrow();
+});
+
+test('sound settings are saved, and broken saved values fall back to the defaults', () => {
+  expect(loadSoundSettings()).toEqual(DEFAULT_SOUND_SETTINGS);
+  saveSoundSettings({ muted: true, volume: 0.25 });
+  expect(loadSoundSettings()).toEqual({ muted: true, volume: 0.25 });
+  saveSoundSettings({ muted: 'yes', volume: 7 });
+  expect(loadSoundSettings()).toEqual(DEFAULT_SOUND_SETTINGS);
+});
@@ -0,0 +1,112 @@
+import { readStorage, writeStorage, removeStorage } from './storage';
+
+// Persistent player statistics.
+// Raw round and game records are stored under a versioned schema; everything shown on
+// the Stats screen is derived from them by `summarizeStats`. Practice rounds and games
+// (unlimited study time) are summarized on their own, so they don't inflate the real numbers.
+
+const STATS_KEY = 'stats';
+export const STATS_VERSION = 2;
+const MAX_ROUNDS = 1000; // Oldest records are dropped past these limits
+const MAX_GAMES = 100;
+const MAX_LEVEL_CHANGES = 200;
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const isPractice = (record) => record.playMode === 'practice';
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const emptyStats = () => ({ version: STATS_VERSION, rounds: [], games: [], levelChanges: [] });
+
+// Upgrade older saved data to the current schema. Add a step here whenever STATS_VERSION changes.
+const migrateStats = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.rounds) || !Array.isArray(data.games)) {
+    return emptyStats();
+  }
+  if (data.version === 1) {
+    data = { ...data, version: 2, levelChanges: [] }; // v2 added the adaptive level log
+  }
+  if (data.version === STATS_VERSION && Array.isArray(data.levelChanges)) return data;
+  return emptyStats(); // Unknown version (e.g. saved by a newer build): start fresh rather than misread it
+};
+
+export const loadStats = () => migrateStats(readStorage(STATS_KEY, null));
+
+const saveStats = (data) => writeStorage(STATS_KEY, data);
+
+// Record one submitted round: { difficulty, numTiles, correct, responseTimeMs, score }.
+// Practice rounds also carry `studyTimeMs`, how long the board was studied before the flip.
+export const recordRound = (round) => {
+  const data = loadStats();
+  data.rounds = [...data.rounds, { ...round, playedAt: Date.now() }].slice(-MAX_ROUNDS);
+  saveStats(data);
+  return data;
+};
+
+// Record a finished game: { difficulty, playMode, outcome: 'win' | 'loss' | 'complete', finalScore, rounds, daily }.
+// 'complete' is a Daily Challenge that got through all its boards without reaching the goal.
+export const recordGame = (game) => {
+  const data = loadStats();
+  data.games = [...data.games, { ...game, playedAt: Date.now() }].slice(-MAX_GAMES);
+  saveStats(data);
+  return data;
+};
+
+// Record an adaptive level change: { from, to, reason, numTiles, memorizeMs }
+export const recordLevelChange = (change) => {
+  const data = loadStats();
+  data.levelChanges = [...data.levelChanges, { ...change, playedAt: Date.now() }].slice(-MAX_LEVEL_CHANGES);
+  saveStats(data);
+  return data;
+};
+
+// Level the last adaptive game ended on, so the next one picks up from there; null if none yet
+export const getLastAdaptiveLevel = (data) =>
+  data.levelChanges.length ? data.levelChanges[data.levelChanges.length - 1].to : null;
+
+export const clearStats = () => removeStorage(STATS_KEY);
+
+// Derive the Stats screen numbers from the raw records
+export const summarizeStats = (data, recentCount = 10) => {
+  const rounds = data.rounds.filter(round => !isPractice(round));
+  const games = data.games.filter(game => !isPractice(game));
+  const practiceRounds = data.rounds.filter(isPractice);
+
+  const byDifficulty = {};
+  DIFFICULTIES.forEach(difficulty => {
+    const difficultyRounds = rounds.filter(round => round.difficulty === difficulty);
+    const correct = difficultyRounds.filter(round => round.correct).length;
+    const answerTimes = difficultyRounds.map(round => round.responseTimeMs).filter(ms => typeof ms === 'number');
+    byDifficulty[difficulty] = {
+      played: difficultyRounds.length,
+      correct,
+      accuracy: difficultyRounds.length ? correct / difficultyRounds.length : null,
+      averageResponseMs: average(answerTimes),
+    };
+  });
+
+  let bestStreak = 0;
+  let streak = 0;
+  rounds.forEach(round => {
+    streak = round.correct ? streak + 1 : 0;
+    bestStreak = Math.max(bestStreak, streak);
+  });
+
+  const practiceCorrect = practiceRounds.filter(round => round.correct).length;
+  const studyTimes = practiceRounds.map(round => round.studyTimeMs).filter(ms => typeof ms === 'number');
+
+  return {
+    byDifficulty,
+    bestStreak,
+    currentStreak: streak,
+    bestScore: games.reduce((best, game) => Math.max(best, game.finalScore), 0),
+    gamesPlayed: games.length,
+    recentGames: games.slice(-recentCount).reverse(), // Newest first
+    adaptiveLevel: getLastAdaptiveLevel(data),
+    recentLevelChanges: data.levelChanges.slice(-recentCount).reverse(),
+    practice: {
+      played: practiceRounds.length,
+      accuracy: practiceRounds.length ? practiceCorrect / practiceRounds.length : null,
+      averageStudyMs: average(studyTimes),
+    },
+  };
+};
@@ -0,0 +1,94 @@
+import {
+  clearStats,
+  getLastAdaptiveLevel,
+  loadStats,
+  recordGame,
+  recordLevelChange,
+  recordRound,
+  summarizeStats,
+  STATS_VERSION,
+} from './stats';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('rounds and games survive a reload through localStorage', () => {
+  recordRound({ difficulty: 'easy', numTiles: 4, correct: true, responseTimeMs: 1500, score: 20 });
+  recordGame({ difficulty: 'easy', outcome: 'loss', finalScore: 20, rounds: 1, daily: null });
+
+  const data = loadStats();
+  expect(data.version).toBe(STATS_VERSION);
+  expect(data.rounds).toHaveLength(1);
+  expect(data.rounds[0]).toMatchObject({ difficulty: 'easy', numTiles: 4, correct: true });
+  expect(data.games[0]).toMatchObject({ outcome: 'loss', finalScore: 20 });
+});
+
+test('unreadable or unknown-version data starts fresh', () => {
+  window.localStorage.setItem('odd-one-out:stats', '{not json');
+  expect(loadStats().rounds).toEqual([]);
+
+  window.localStorage.setItem('odd-one-out:stats', JSON.stringify({ version: 999, rounds: [{}], games: [] }));
+  expect(loadStats().rounds).toEqual([]);
+});
+
+test('summary reports accuracy per difficulty, best streak and best score', () => {
+  [true, true, true, false, true].forEach(correct => {
+    recordRound({ difficulty: 'medium', numTiles: 9, correct, responseTimeMs: 2000, score: correct ? 20 : 0 });
+  });
+  recordGame({ difficulty: 'medium', outcome: 'loss', finalScore: 60, rounds: 4, daily: null });
+  recordGame({ difficulty: 'medium', outcome: 'loss', finalScore: 20, rounds: 1, daily: null });
+
+  const summary = summarizeStats(loadStats());
+  expect(summary.byDifficulty.medium.accuracy).toBeCloseTo(0.8);
+  expect(summary.byDifficulty.medium.averageResponseMs).toBe(2000);
+  expect(summary.byDifficulty.easy.accuracy).toBeNull();
+  expect(summary.bestStreak).toBe(3);
+  expect(summary.currentStreak).toBe(1);
+  expect(summary.bestScore).toBe(60);
+  expect(summary.recentGames[0].finalScore).toBe(20); // Newest first
+
+  clearStats();
+  expect(summarizeStats(loadStats()).gamesPlayed).toBe(0);
+});
+
+test('version 1 data is upgraded with an empty level log', () => {
+  window.localStorage.setItem('odd-one-out:stats', JSON.stringify({ version: 1, rounds: [{ difficulty: 'easy', correct: true }], games: [] }));
+  const data = loadStats();
+  expect(data.version).toBe(STATS_VERSION);
+  expect(data.rounds).toHaveLength(1);
+  expect(data.levelChanges).toEqual([]);
+});
+
+test('adaptive level changes are logged and the last level is remembered', () => {
+  expect(getLastAdaptiveLevel(loadStats())).toBeNull();
+  recordLevelChange({ from: 1, to: 2, reason: 'streak', numTiles: 5, memorizeMs: 6000 });
+  recordLevelChange({ from: 2, to: 1, reason: 'miss', numTiles: 4, memorizeMs: 6000 });
+
+  expect(getLastAdaptiveLevel(loadStats())).toBe(1);
+  const summary = summarizeStats(loadStats());
+  expect(summary.adaptiveLevel).toBe(1);
+  expect(summary.recentLevelChanges.map(change => change.reason)).toEqual(['miss', 'streak']);
+});
+
+test('practice rounds report the average study time', () => {
+  expect(summarizeStats(loadStats()).practice).toEqual({ played: 0, accuracy: null, averageStudyMs: null });
+  recordRound({ difficulty: 'easy', correct: true, playMode: 'practice', studyTimeMs: 4000 });
+  recordRound({ difficulty: 'easy', correct: false, playMode: 'practice', studyTimeMs: 9000 });
+  recordRound({ difficulty: 'easy', correct: true, playMode: 'classic', studyTimeMs: null });
+  expect(summarizeStats(loadStats()).practice).toEqual({ played: 2, accuracy: 0.5, averageStudyMs: 6500 });
+});
+
+test('practice rounds and games stay out of the regular stats', () => {
+  recordRound({ difficulty: 'hard', correct: false, playMode: 'classic', responseTimeMs: 5000 });
+  [1000, 1000, 1000].forEach(ms => recordRound({ difficulty: 'hard', correct: true, playMode: 'practice', responseTimeMs: ms, studyTimeMs: 20000 }));
+  recordGame({ difficulty: 'hard', playMode: 'practice', outcome: 'win', finalScore: 120, rounds: 3, daily: null });
+  recordGame({ difficulty: 'hard', playMode: 'classic', outcome: 'loss', finalScore: 0, rounds: 1, daily: null });
+
+  const summary = summarizeStats(loadStats());
+  expect(summary.byDifficulty.hard).toEqual({ played: 1, correct: 0, accuracy: 0, averageResponseMs: 5000 });
+  expect(summary.bestStreak).toBe(0);
+  expect(summary.bestScore).toBe(0);
+  expect(summary.gamesPlayed).toBe(1);
+  expect(summary.practice.played).toBe(3);
+});
@@ -0,0 +1,30 @@
+// Thin localStorage wrapper.
+// Storage can be unavailable (private mode, quota, disabled cookies) or hold stale data,
+// so reads fall back to a default and writes fail silently instead of breaking the game.
+
+const KEY_PREFIX = 'odd-one-out:';
+
+export const readStorage = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(KEY_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    // Ignore: progress just won't survive a reload
+  }
+};
+
+export const removeStorage = (key) => {
+  try {
+    window.localStorage.removeItem(KEY_PREFIX + key);
+  } catch (error) {
+    // Ignore
+  }
+};
@@ -0,0 +1,58 @@
+import { useEffect, useState } from 'react';
+import { readStorage, writeStorage } from './storage';
+
+// Color themes.
+// Each theme is a set of color tokens (CSS variables in index.css, named as Tailwind colors in
+// tailwind.config.js), switched with a data-theme attribute, so components only ever use the
+// token classes. The player picks a theme or 'system', which follows the OS: light or dark from
+// `prefers-color-scheme`, and high contrast when `prefers-contrast: more` is set. Reduced motion
+// needs no setting; index.css honours `prefers-reduced-motion` for every theme.
+
+export const THEMES = ['dark', 'light', 'highContrast', 'colorblind'];
+
+export const SYSTEM_THEME = 'system';
+
+// Choices on the theme picker
+export const THEME_OPTIONS = [SYSTEM_THEME, ...THEMES];
+
+const THEME_KEY = 'theme';
+
+export const loadThemePreference = () => {
+  const saved = readStorage(THEME_KEY, SYSTEM_THEME);
+  return THEME_OPTIONS.includes(saved) ? saved : SYSTEM_THEME;
+};
+
+export const saveThemePreference = (preference) => writeStorage(THEME_KEY, preference);
+
+// The theme to draw with: `system` ({ prefersLight, prefersMoreContrast }) decides for 'system'
+export const resolveTheme = (preference, system) => {
+  if (preference !== SYSTEM_THEME) return preference;
+  if (system.prefersMoreContrast) return 'highContrast';
+  return system.prefersLight ? 'light' : 'dark';
+};
+
+const SYSTEM_QUERIES = {
+  prefersLight: '(prefers-color-scheme: light)',
+  prefersMoreContrast: '(prefers-contrast: more)',
+};
+
+const readSystemPreferences = () => {
+  const matches = (query) => typeof window !== 'undefined' && typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+  return {
+    prefersLight: matches(SYSTEM_QUERIES.prefersLight),
+    prefersMoreContrast: matches(SYSTEM_QUERIES.prefersMoreContrast),
+  };
+};
+
+// The OS color preferences, kept up to date when they change (e.g. the OS switches to dark at night)
+export const useSystemPreferences = () => {
+  const [system, setSystem] = useState(readSystemPreferences);
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return undefined;
+    const update = () => setSystem(readSystemPreferences());
+    const queries = Object.values(SYSTEM_QUERIES).map(query => window.matchMedia(query));
+    queries.forEach(query => query.addEventListener('change', update));
+    return () => queries.forEach(query => query.removeEventListener('change', update));
+  }, []);
+  return system;
+};
@@ -0,0 +1,23 @@
+import { loadThemePreference, resolveTheme, saveThemePreference, SYSTEM_THEME } from './themes';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('the system option follows the OS color scheme and contrast setting', () => {
+  expect(resolveTheme(SYSTEM_THEME, { prefersLight: false, prefersMoreContrast: false })).toBe('dark');
+  expect(resolveTheme(SYSTEM_THEME, { prefersLight: true, prefersMoreContrast: false })).toBe('light');
+  expect(resolveTheme(SYSTEM_THEME, { prefersLight: true, prefersMoreContrast: true })).toBe('highContrast');
+});
+
+test('a picked theme wins over the OS settings', () => {
+  expect(resolveTheme('colorblind', { prefersLight: true, prefersMoreContrast: true })).toBe('colorblind');
+});
+
+test('the theme choice is saved, and unknown saved values fall back to the system theme', () => {
+  expect(loadThemePreference()).toBe(SYSTEM_THEME);
+  saveThemePreference('light');
+  expect(loadThemePreference()).toBe('light');
+  saveThemePreference('sepia');
+  expect(loadThemePreference()).toBe(SYSTEM_THEME);
+});
@@ -0,0 +1,86 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faAnchor, faAppleWhole, faBell, faBicycle, faBolt, faBook, faCamera, faCar, faCat, faCloud,
+  faCrown, faDog, faDragon, faDroplet, faFeather, faFire, faFish, faFlag, faGem, faGhost,
+  faGift, faGlobe, faHeart, faHouse, faKey, faLeaf, faLemon, faLock, faMoon, faMugHot,
+  faMusic, faPlane, faPuzzlePiece, faRocket, faSeedling, faSnowflake, faStar, faSun, faTree, faUmbrella,
+} from '@fortawesome/free-solid-svg-icons';
+import { NUMBER_VALUES } from './game';
+import { defaultTranslator } from './i18n';
+
+// Tile content providers.
+// Each provider supplies the pool of values a board is drawn from (plain strings or numbers,
+// so rounds can compare and look them up directly), how to draw one on a tile, and how to
+// name a value in messages. The set's own name comes from the message catalog (`tileSet.<id>`
+// and `noun.<id>`), and so do the names of colors, icons and words (`tile.color.<value>` and
+// so on). `renderTile` and `describe` get the translator `t`, so tiles are written and read
+// out in the player's language. Add a provider here and it shows up on the tile set screen.
+
+const ICONS = {
+  anchor: faAnchor, apple: faAppleWhole, bell: faBell, bicycle: faBicycle, bolt: faBolt,
+  book: faBook, camera: faCamera, car: faCar, cat: faCat, cloud: faCloud,
+  crown: faCrown, dog: faDog, dragon: faDragon, droplet: faDroplet, feather: faFeather,
+  fire: faFire, fish: faFish, flag: faFlag, gem: faGem, ghost: faGhost,
+  gift: faGift, globe: faGlobe, heart: faHeart, house: faHouse, key: faKey,
+  leaf: faLeaf, lemon: faLemon, lock: faLock, moon: faMoon, mug: faMugHot,
+  music: faMusic, plane: faPlane, puzzle: faPuzzlePiece, rocket: faRocket, seedling: faSeedling,
+  snowflake: faSnowflake, star: faStar, sun: faSun, tree: faTree, umbrella: faUmbrella,
+};
+
+// Colors are picked to stay tellable apart at a glance
+const COLORS = {
+  red: '#ef4444', orange: '#f97316', amber: '#f59e0b', yellow: '#facc15', lime: '#84cc16',
+  green: '#16a34a', teal: '#14b8a6', cyan: '#22d3ee', sky: '#0ea5e9', blue: '#2563eb',
+  indigo: '#4338ca', violet: '#8b5cf6', purple: '#a21caf', pink: '#f472b6', rose: '#e11d48',
+  brown: '#92400e', tan: '#d6b38a', white: '#f9fafb', silver: '#9ca3af', black: '#111827',
+  navy: '#1e3a8a', olive: '#4d7c0f', maroon: '#7f1d1d', mint: '#a7f3d0',
+};
+
+const WORDS = [
+  'cat', 'dog', 'sun', 'map', 'cup', 'hat', 'pen', 'box', 'key', 'fox',
+  'owl', 'bee', 'jam', 'ink', 'oak', 'sea', 'sky', 'ice', 'egg', 'bus',
+  'leaf', 'rain', 'star', 'moon', 'fish', 'bird', 'tree', 'rock', 'lamp', 'door',
+  'milk', 'sand', 'frog', 'kite', 'bell', 'ring', 'boat', 'coin', 'drum', 'nest',
+];
+
+export const TILE_CONTENT_PROVIDERS = {
+  numbers: {
+    id: 'numbers',
+    values: NUMBER_VALUES,
+    renderTile: (value, t = defaultTranslator) => t.formatNumber(value),
+    describe: (value, t = defaultTranslator) => t.formatNumber(value),
+  },
+  letters: {
+    id: 'letters',
+    values: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''),
+    renderTile: (value) => value,
+    describe: (value) => value,
+  },
+  colors: {
+    id: 'colors',
+    values: Object.keys(COLORS),
+    // Drawn as a swatch inside the tile so the tile itself can still show selection and results
+    renderTile: (value) => (
+      <span className="block w-2/3 h-2/3 rounded-md border border-line-strong" style={{ backgroundColor: COLORS[value] }} />
+    ),
+    describe: (value, t = defaultTranslator) => t(`tile.color.${value}`),
+  },
+  icons: {
+    id: 'icons',
+    values: Object.keys(ICONS),
+    renderTile: (value, t = defaultTranslator) => <FontAwesomeIcon icon={ICONS[value]} title={t(`tile.icon.${value}`)} />,
+    describe: (value, t = defaultTranslator) => t(`tile.icon.${value}`),
+  },
+  words: {
+    id: 'words',
+    values: WORDS,
+    renderTile: (value, t = defaultTranslator) => <span className="text-xl uppercase">{t(`tile.word.${value}`)}</span>,
+    describe: (value, t = defaultTranslator) => t(`tile.word.${value}`),
+  },
+};
+
+export const DEFAULT_TILE_CONTENT = 'numbers';
+
+// Look up a provider by id, falling back to numbers for unknown ids (e.g. from an old link)
+export const getTileContentProvider = (id) => TILE_CONTENT_PROVIDERS[id] || TILE_CONTENT_PROVIDERS[DEFAULT_TILE_CONTENT];
@@ -0,0 +1,14 @@
+import { getTileContentProvider, TILE_CONTENT_PROVIDERS } from './tileContent';
+import { MAX_CHANGED_TILES, TILE_COUNT_OPTIONS } from './game';
+
+const largestBoard = Math.max(...Object.values(TILE_COUNT_OPTIONS).flat());
+
+test.each(Object.keys(TILE_CONTENT_PROVIDERS))('%s pool has unique values and room for the largest board', (id) => {
+  const { values } = TILE_CONTENT_PROVIDERS[id];
+  expect(new Set(values).size).toBe(values.length);
+  expect(values.length).toBeGreaterThanOrEqual(largestBoard + MAX_CHANGED_TILES);
+});
+
+test('unknown tile sets fall back to numbers', () => {
+  expect(getTileContentProvider('emoji').id).toBe('numbers');
+});
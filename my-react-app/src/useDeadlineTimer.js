@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// How often the remaining time is refreshed for display
+const TICK_MS = 100;
+
+// Countdown hook measured against a deadline rather than by counting ticks, so the shown time
+// and the moment `onExpire` fires can't drift apart. The timer (re)starts whenever it becomes
+// `active` or `resetKey` changes, and pauses by itself when the tab is hidden.
+const useDeadlineTimer = ({ durationMs, active, resetKey, onExpire }) => {
+  const [remainingMs, setRemainingMs] = useState(durationMs);
+  const [paused, setPaused] = useState(false);
+  const deadline = useRef(0);
+  const remainingWhenStopped = useRef(durationMs); // Carried over from a pause into the next run
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+
+  // Start over with the full duration whenever the timer is armed again
+  useEffect(() => {
+    remainingWhenStopped.current = durationMs;
+    setRemainingMs(durationMs);
+    setPaused(false);
+  }, [active, durationMs, resetKey]);
+
+  // Count down towards the deadline while running; stopping keeps whatever time was left
+  useEffect(() => {
+    if (!active || paused) return undefined;
+    deadline.current = Date.now() + remainingWhenStopped.current;
+    const interval = setInterval(() => {
+      const left = Math.max(0, deadline.current - Date.now());
+      setRemainingMs(left);
+      if (left === 0) {
+        clearInterval(interval);
+        onExpireRef.current();
+      }
+    }, TICK_MS);
+    return () => {
+      clearInterval(interval);
+      remainingWhenStopped.current = Math.max(0, deadline.current - Date.now());
+    };
+  }, [active, paused, durationMs, resetKey]);
+
+  // Switching tabs pauses; coming back waits for the player to resume
+  useEffect(() => {
+    if (!active) return undefined;
+    const handleVisibilityChange = () => {
+      if (document.hidden) setPaused(true);
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [active]);
+
+  const pause = useCallback(() => setPaused(true), []);
+  const resume = useCallback(() => setPaused(false), []);
+
+  return { remainingMs, paused: active && paused, pause, resume };
+};
+
+export default useDeadlineTimer;
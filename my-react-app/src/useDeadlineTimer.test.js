@@ -0,0 +1,81 @@
+import { renderHook, act } from '@testing-library/react';
+import useDeadlineTimer from './useDeadlineTimer';
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const setHidden = (hidden) => {
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+test('counts down and expires once at the deadline', () => {
+  const onExpire = jest.fn();
+  const { result } = renderHook(() => useDeadlineTimer({ durationMs: 4000, active: true, resetKey: 1, onExpire }));
+
+  act(() => { jest.advanceTimersByTime(1500); });
+  expect(result.current.remainingMs).toBe(2500);
+  expect(onExpire).not.toHaveBeenCalled();
+
+  act(() => { jest.advanceTimersByTime(2500); });
+  expect(result.current.remainingMs).toBe(0);
+  act(() => { jest.advanceTimersByTime(5000); });
+  expect(onExpire).toHaveBeenCalledTimes(1);
+});
+
+test('keeps the remaining time across a pause', () => {
+  const onExpire = jest.fn();
+  const { result } = renderHook(() => useDeadlineTimer({ durationMs: 4000, active: true, resetKey: 1, onExpire }));
+
+  act(() => { jest.advanceTimersByTime(1000); });
+  act(() => { result.current.pause(); });
+  act(() => { jest.advanceTimersByTime(60000); });
+  expect(result.current.paused).toBe(true);
+  expect(result.current.remainingMs).toBe(3000);
+  expect(onExpire).not.toHaveBeenCalled();
+
+  act(() => { result.current.resume(); });
+  act(() => { jest.advanceTimersByTime(2900); });
+  expect(onExpire).not.toHaveBeenCalled();
+  act(() => { jest.advanceTimersByTime(100); });
+  expect(onExpire).toHaveBeenCalledTimes(1);
+});
+
+test('pauses when the tab is hidden and stays paused when it comes back', () => {
+  const onExpire = jest.fn();
+  const { result } = renderHook(() => useDeadlineTimer({ durationMs: 4000, active: true, resetKey: 1, onExpire }));
+
+  act(() => { setHidden(true); });
+  act(() => { jest.advanceTimersByTime(10000); });
+  act(() => { setHidden(false); });
+  expect(result.current.paused).toBe(true);
+  expect(onExpire).not.toHaveBeenCalled();
+});
+
+test('restarts with the full duration for a new reset key', () => {
+  const onExpire = jest.fn();
+  const { result, rerender } = renderHook(
+    ({ resetKey }) => useDeadlineTimer({ durationMs: 4000, active: true, resetKey, onExpire }),
+    { initialProps: { resetKey: 1 } },
+  );
+
+  act(() => { jest.advanceTimersByTime(3000); });
+  rerender({ resetKey: 2 });
+  act(() => { jest.advanceTimersByTime(3000); });
+  expect(result.current.remainingMs).toBe(1000);
+  expect(onExpire).not.toHaveBeenCalled();
+});
+
+test('does nothing while inactive', () => {
+  const onExpire = jest.fn();
+  const { result } = renderHook(() => useDeadlineTimer({ durationMs: 4000, active: false, resetKey: 1, onExpire }));
+
+  act(() => { jest.advanceTimersByTime(10000); });
+  expect(result.current.remainingMs).toBe(4000);
+  expect(onExpire).not.toHaveBeenCalled();
+});
@@ -0,0 +1,84 @@
+import { defaultTranslator } from './i18n';
+
+// Local hot-seat versus games.
+// 2–4 players share one device and take turns, one board per turn, all built with the same
+// settings. After everyone has played the same number of turns the highest score wins.
+//
+// Rules:
+// - A miss scores nothing, resets that player's streak and passes the turn; nobody is
+//   knocked out. Partial finds score partial credit as in a solo game.
+// - Ties on score go to the player with more fully correct turns, then to the one who was
+//   faster over those turns. Players still level after that share the place.
+
+export const VERSUS_RULES = {
+  minPlayers: 2,
+  maxPlayers: 4,
+  maxNameLength: 20,
+  turnOptions: [3, 5, 10], // Turns per player
+};
+
+// Returns an error message (worded by `t`) for the setup screen, or null when the names can be used
+export const validatePlayerNames = (names, rules = VERSUS_RULES, t = defaultTranslator) => {
+  const trimmed = names.map(name => name.trim());
+  if (trimmed.length < rules.minPlayers || trimmed.length > rules.maxPlayers) {
+    return t('versus.error.playerCount', { min: rules.minPlayers, max: rules.maxPlayers });
+  }
+  if (trimmed.some(name => name === '')) {
+    return t('versus.error.emptyName');
+  }
+  if (trimmed.some(name => name.length > rules.maxNameLength)) {
+    return t('versus.error.longName', { max: rules.maxNameLength });
+  }
+  if (new Set(trimmed.map(name => name.toLowerCase())).size !== trimmed.length) {
+    return t('versus.error.duplicateName');
+  }
+  return null;
+};
+
+export const createVersusGame = (names, turnsPerPlayer) => ({
+  players: names.map(name => ({ name: name.trim(), score: 0, correctTurns: 0, correctTimeMs: 0, streak: 0, turns: 0 })),
+  currentPlayer: 0,
+  turnsPerPlayer,
+});
+
+// Number of turns played so far by everyone; also the index of the next board
+export const getTurnsPlayed = (game) => game.players.reduce((sum, player) => sum + player.turns, 0);
+
+export const getTotalTurns = (game) => game.players.length * game.turnsPerPlayer;
+
+export const isVersusOver = (game) => getTurnsPlayed(game) >= getTotalTurns(game);
+
+// Book the current player's turn and hand over to the next player
+export const applyTurnResult = (game, { score, correct, responseTimeMs }) => {
+  const players = game.players.map((player, index) => {
+    if (index !== game.currentPlayer) return player;
+    return {
+      ...player,
+      score: player.score + score,
+      correctTurns: player.correctTurns + (correct ? 1 : 0),
+      correctTimeMs: player.correctTimeMs + (correct ? responseTimeMs : 0),
+      streak: correct ? player.streak + 1 : 0,
+      turns: player.turns + 1,
+    };
+  });
+  return { ...game, players, currentPlayer: (game.currentPlayer + 1) % players.length };
+};
+
+// Order used for the standings, including the tie-breaks
+const comparePlayers = (a, b) =>
+  b.score - a.score || b.correctTurns - a.correctTurns || a.correctTimeMs - b.correctTimeMs;
+
+// Players best first, each with a 1-based `place`; players tied on every rule share a place
+export const rankPlayers = (players) => {
+  const sorted = [...players].sort(comparePlayers);
+  return sorted.map((player, index) => {
+    let place = index + 1;
+    for (let previous = index - 1; previous >= 0 && comparePlayers(sorted[previous], player) === 0; previous--) {
+      place = previous + 1;
+    }
+    return { ...player, place };
+  });
+};
+
+// Setup used the first time the versus screen opens; later games start from the last one
+export const DEFAULT_VERSUS_SETUP = { names: ['', ''], difficulty: 'easy', numTiles: 4, turnsPerPlayer: 3 };
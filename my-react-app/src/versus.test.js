@@ -0,0 +1,47 @@
+import {
+  applyTurnResult,
+  createVersusGame,
+  getTurnsPlayed,
+  isVersusOver,
+  rankPlayers,
+  validatePlayerNames,
+} from './versus';
+
+test('player names are checked before a game starts', () => {
+  expect(validatePlayerNames(['Ana', 'Ben'])).toBeNull();
+  expect(validatePlayerNames(['Ana'])).toMatch(/2 to 4 players/);
+  expect(validatePlayerNames(['Ana', 'Ben', 'Cy', 'Di', 'Ed'])).toMatch(/2 to 4 players/);
+  expect(validatePlayerNames(['Ana', '  '])).toMatch(/needs a name/);
+  expect(validatePlayerNames(['Ana', 'ana '])).toMatch(/different name/);
+  expect(validatePlayerNames(['Ana', 'x'.repeat(21)])).toMatch(/at most 20/);
+});
+
+test('turns rotate through the players until everyone has played', () => {
+  let game = createVersusGame(['Ana', 'Ben'], 2);
+  game = applyTurnResult(game, { score: 30, correct: true, responseTimeMs: 2000 });
+  expect(game.currentPlayer).toBe(1);
+  game = applyTurnResult(game, { score: 0, correct: false, responseTimeMs: 4000 }); // A miss just passes the turn
+  expect(game.currentPlayer).toBe(0);
+  expect(isVersusOver(game)).toBe(false);
+  game = applyTurnResult(game, { score: 40, correct: true, responseTimeMs: 1000 });
+  game = applyTurnResult(game, { score: 25, correct: true, responseTimeMs: 3000 });
+
+  expect(isVersusOver(game)).toBe(true);
+  expect(getTurnsPlayed(game)).toBe(4);
+  expect(game.players[0]).toMatchObject({ score: 70, correctTurns: 2, correctTimeMs: 3000, streak: 2, turns: 2 });
+  expect(game.players[1]).toMatchObject({ score: 25, correctTurns: 1, streak: 1, turns: 2 });
+});
+
+test('standings break ties by correct turns, then speed, and share exact ties', () => {
+  const player = (name, score, correctTurns, correctTimeMs) => ({ name, score, correctTurns, correctTimeMs });
+  const standings = rankPlayers([
+    player('Ana', 50, 1, 2000),
+    player('Ben', 50, 2, 9000),
+    player('Cy', 50, 2, 4000),
+    player('Di', 80, 2, 5000),
+  ]);
+  expect(standings.map(({ name, place }) => [name, place])).toEqual([['Di', 1], ['Cy', 2], ['Ben', 3], ['Ana', 4]]);
+
+  const tied = rankPlayers([player('Ana', 50, 1, 2000), player('Ben', 50, 1, 2000), player('Cy', 10, 0, 0)]);
+  expect(tied.map(({ place }) => place)).toEqual([1, 1, 3]);
+});
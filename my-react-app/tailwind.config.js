@@ -1,3 +1,6 @@
+// Theme token colors; the values are CSS variables set per theme in src/index.css
+const token = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+
 / @type {import('tailwindcss').Config} */
 module.exports = {
   content: [
@@ -6,9 +9,71 @@ module.exports = {
   ],
   theme: {
     extend: {
+      colors: {
+        page: token('page'),
+        surface: token('surface'),
+        raised: { DEFAULT: token('raised'), hover: token('raised-hover') },
+        sunken: token('sunken'),
+        line: { DEFAULT: token('line'), strong: token('line-strong') },
+        content: token('content'),
+        muted: token('muted'),
+        subtle: token('subtle'),
+        faint: token('faint'),
+        accent: token('accent'),
+        highlight: token('highlight'),
+        focus: token('focus'),
+        success: token('success'),
+        danger: { DEFAULT: token('danger'), fill: token('danger-fill'), 'fill-hover': token('danger-fill-hover') },
+        primary: { DEFAULT: token('primary'), hover: token('primary-hover') },
+        secondary: { DEFAULT: token('secondary'), hover: token('secondary-hover') },
+        tertiary: { DEFAULT: token('tertiary'), hover: token('tertiary-hover') },
+        warning: { DEFAULT: token('warning'), hover: token('warning-hover') },
+        info: { DEFAULT: token('info'), hover: token('info-hover') },
+        brand: { DEFAULT: token('brand'), end: token('brand-end') }, // The title gradient
+        tile: {
+          DEFAULT: token('tile'),
+          selected: token('tile-selected'),
+          found: token('tile-found'),
+          missed: token('tile-missed'),
+          wrong: token('tile-wrong'),
+        },
+        on: { // Text on top of a filled token color, e.g. text-on-tile-found
+          accent: token('on-accent'),
+          primary: token('on-primary'),
+          secondary: token('on-secondary'),
+          tertiary: token('on-tertiary'),
+          warning: token('on-warning'),
+          danger: token('on-danger'),
+          info: token('on-info'),
+          'tile-selected': token('on-tile-selected'),
+          'tile-found': token('on-tile-found'),
+          'tile-missed': token('on-tile-missed'),
+          'tile-wrong': token('on-tile-wrong'),
+        },
+      },
       fontFamily: { // Add the Inter font family
         inter: ['Inter', 'sans-serif'],
       },
+      keyframes: { // Reveal animations for the different change types
+        'tile-swap': {
+          '0%, 100%': { transform: 'translateX(0)' },
+          '25%': { transform: 'translateX(-12%)' },
+          '75%': { transform: 'translateX(12%)' },
+        },
+        'tile-pop': {
+          '0%, 100%': { transform: 'scale(1)' },
+          '50%': { transform: 'scale(1.15)' },
+        },
+        'tile-slide': {
+          '0%': { transform: 'translateY(40%)', opacity: '0.3' },
+          '100%': { transform: 'translateY(0)', opacity: '1' },
+        },
+      },
+      animation: {
+        'tile-swap': 'tile-swap 0.6s ease-in-out 3',
+        'tile-pop': 'tile-pop 0.5s ease-in-out 3',
+        'tile-slide': 'tile-slide 0.7s ease-out 2',
+      },
     },
   },
   plugins: [],